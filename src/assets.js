@@ -0,0 +1,250 @@
+/* ───────────────────────────── Asset library ── */
+// Every generated image/video is copied into our own storage so responses can
+// carry a stable URL served by this server instead of an expiring provider URL
+// or a multi-megabyte data URL. Metadata lives in DATA_DIR/assets.json; the
+// bytes go to the configured driver:
+//   ASSET_DRIVER=local (default) – files under ASSET_DIR (default DATA_DIR/assets)
+//   ASSET_DRIVER=s3              – any S3-compatible bucket (S3_* variables)
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+import sharp  from 'sharp';
+
+import { fetchRemote } from './remoteFetch.js';
+
+const DATA_DIR   = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const INDEX_PATH = path.join(DATA_DIR, 'assets.json');
+const REMOTE_MAX_BYTES = 200 * 1024 * 1024; // provider videos run larger than images
+
+const EXTENSIONS = {
+  'image/png':  'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif':  'gif',
+  'video/mp4':  'mp4',
+  'application/zip': 'zip',
+  'application/pdf': 'pdf',
+};
+
+/* ─────────────────────────── Drivers ── */
+// A driver stores opaque bytes under a key:
+//   put(key, buffer, contentType), get(key) → Buffer, remove(key)
+function createLocalDriver(rootDir) {
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) throw new Error('Invalid asset key');
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async get(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+async function createS3Driver() {
+  // Loaded lazily so local installs never touch the AWS SDK
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand,
+  } = await import('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  const prefix = process.env.S3_PREFIX || 'assets/';
+  if (!bucket) throw new Error('ASSET_DRIVER=s3 requires S3_BUCKET');
+
+  const client = new S3Client({
+    region:         process.env.S3_REGION || 'us-east-1',
+    endpoint:       process.env.S3_ENDPOINT || undefined, // R2, MinIO, Spaces, …
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    } : undefined,
+  });
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket, Key: prefix + key, Body: buffer, ContentType: contentType,
+      }));
+    },
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    },
+  };
+}
+
+let driverPromise = null;
+function getDriver() {
+  if (!driverPromise) {
+    driverPromise = process.env.ASSET_DRIVER === 's3'
+      ? createS3Driver()
+      : Promise.resolve(createLocalDriver(process.env.ASSET_DIR || path.join(DATA_DIR, 'assets')));
+  }
+  return driverPromise;
+}
+
+/* ─────────────────────────── Metadata index ── */
+function readIndex() {
+  if (!fs.existsSync(INDEX_PATH)) return {};
+  return JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+}
+
+function writeIndex(assets) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempPath = `${INDEX_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(assets, null, 2));
+  fs.renameSync(tempPath, INDEX_PATH);
+}
+
+/* ─────────────────────────── URLs ── */
+function publicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+export function assetUrl(id) {
+  return `${publicBaseUrl()}/api/assets/${id}/file`;
+}
+
+// Returns the asset id if `url` points at this server's asset store
+export function parseAssetUrl(url) {
+  if (typeof url !== 'string') return null;
+  const match = url.match(/\/api\/assets\/([0-9a-f-]{36})\/file(?:\?.*)?$/);
+  if (!match) return null;
+  return url.startsWith(publicBaseUrl()) || url.startsWith('/api/assets/') ? match[1] : null;
+}
+
+function withUrl(record) {
+  return { ...record, url: assetUrl(record.id) };
+}
+
+/* ─────────────────────────── Public API ── */
+// { mimeType, width, height } of an image buffer, or {} when it isn't one
+export async function sniffImage(buffer) {
+  try {
+    const { format, width, height } = await sharp(buffer).metadata();
+    const mimeType = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' }[format];
+    return { mimeType, width, height };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store bytes with their generation metadata.
+ *
+ * @param {Buffer} buffer
+ * @param {object} meta  route, prompt, model, brandKitId, churchName, sourceUrl,
+ *                       mimeType (sniffed for images when omitted) and any
+ *                       extra fields under `details`.
+ * @returns {Promise<object>} The asset record, including its stable `url`.
+ */
+export async function saveAsset(buffer, meta = {}) {
+  const sniffed = await sniffImage(buffer);
+  const mimeType = meta.mimeType || sniffed.mimeType || 'application/octet-stream';
+  const id = crypto.randomUUID();
+  const now = new Date();
+  const key = `${now.toISOString().slice(0, 7)}/${id}.${EXTENSIONS[mimeType] || 'bin'}`;
+
+  const driver = await getDriver();
+  await driver.put(key, buffer, mimeType);
+
+  const record = {
+    id,
+    kind:       mimeType.split('/')[0],
+    mimeType,
+    size:       buffer.length,
+    width:      sniffed.width ?? null,
+    height:     sniffed.height ?? null,
+    route:      meta.route ?? null,
+    prompt:     meta.prompt ?? null,
+    model:      meta.model ?? null,
+    brandKitId: meta.brandKitId ?? null,
+    churchName: meta.churchName ?? null,
+    sourceUrl:  meta.sourceUrl ?? null,
+    details:    meta.details ?? {},
+    driver:     driver.name,
+    key,
+    createdAt:  now.toISOString(),
+  };
+
+  const assets = readIndex();
+  assets[id] = record;
+  writeIndex(assets);
+  return withUrl(record);
+}
+
+// Downloads a provider URL (Ideogram, Replicate delivery, …) into the library
+export async function saveRemoteAsset(url, meta = {}) {
+  const { buffer, contentType } = await fetchRemote(url, { accept: ['image/', 'video/'], maxBytes: REMOTE_MAX_BYTES });
+  return saveAsset(buffer, { mimeType: contentType, sourceUrl: url, ...meta });
+}
+
+export function getAsset(id) {
+  const record = readIndex()[id];
+  return record ? withUrl(record) : null;
+}
+
+export async function readAsset(id) {
+  const record = readIndex()[id];
+  if (!record) return null;
+  const driver = await getDriver();
+  return { record: withUrl(record), buffer: await driver.get(record.key) };
+}
+
+/**
+ * List assets, newest first.
+ * Filters: q (matches prompt, route, model, church), route, kind, model,
+ * brandKitId, from / to (ISO dates), limit (default 50, max 200), offset.
+ */
+export function listAssets(filters = {}) {
+  const limit  = Math.min(Number(filters.limit) || 50, 200);
+  const offset = Number(filters.offset) || 0;
+  const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+  const matches = Object.values(readIndex())
+    .filter((asset) => !filters.route || asset.route === filters.route)
+    .filter((asset) => !filters.kind || asset.kind === filters.kind)
+    .filter((asset) => !filters.model || asset.model === filters.model)
+    .filter((asset) => !filters.brandKitId || asset.brandKitId === filters.brandKitId)
+    .filter((asset) => !filters.from || asset.createdAt >= filters.from)
+    .filter((asset) => !filters.to || asset.createdAt <= filters.to)
+    .filter((asset) => !q || [asset.prompt, asset.route, asset.model, asset.churchName]
+      .some((field) => field && field.toLowerCase().includes(q)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total:  matches.length,
+    limit,
+    offset,
+    assets: matches.slice(offset, offset + limit).map(withUrl),
+  };
+}
+
+export async function deleteAsset(id) {
+  const assets = readIndex();
+  const record = assets[id];
+  if (!record) return false;
+
+  const driver = await getDriver();
+  await driver.remove(record.key);
+  delete assets[id];
+  writeIndex(assets);
+  return true;
+}
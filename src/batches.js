@@ -0,0 +1,252 @@
+/* ───────────────────────────── Batch posters ── */
+// A season's worth of posters from one spreadsheet: each row (CSV or JSON)
+// runs typography → background suggestion → final poster. Rows run a few at a
+// time, a failed row doesn't stop the others, and the finished posters come
+// back as one zip with a results sheet.
+
+import archiver from 'archiver';
+import { z }    from 'zod';
+
+export const MAX_BATCH_ROWS = 50;
+export const AUTO_SUGGEST = 'auto-suggest';
+
+// CSV headers are matched without case, spaces or punctuation ("Sub Headline" → subHeadline)
+const COLUMNS = {
+  headline:             'headline',
+  subheadline:          'subHeadline',
+  style:                'style',
+  imagedescription:     'imageDescription',
+  background:           'imageDescription',
+  method:               'method',
+  language:             'language',
+  secondarylanguage:    'secondaryLanguage',
+  secondaryheadline:    'secondaryHeadline',
+  secondarysubheadline: 'secondarySubHeadline',
+  qr:                   'qr',
+  qrurl:                'qr',
+  targetdate:           'targetDate',
+};
+
+// Event details columns, bare ("Venue") or prefixed ("Event Venue")
+const EVENT_COLUMNS = [
+  'startsAt', 'endsAt', 'date', 'time', 'venue', 'address', 'speaker', 'registrationUrl', 'registrationText', 'layout',
+];
+const RECURRING_COLUMNS = { recurringdays: 'days', recurringtimes: 'times' }; // "Sunday; Wednesday", "9:00; 11:00"
+
+export const BatchRow = z.object({
+  headline:             z.string().trim().min(1),
+  subHeadline:          z.string().trim().min(1),
+  style:                z.enum(['focused', 'trendy', 'kids', 'handwritten']).default('focused'),
+  imageDescription:     z.string().trim().min(1).default(AUTO_SUGGEST), // or "auto-suggest"
+  method:               z.enum(['edit', 'responses', 'generate']).default('edit'),
+  language:             z.string().optional(),
+  secondaryLanguage:    z.string().optional(),
+  secondaryHeadline:    z.string().optional(),
+  secondarySubHeadline: z.string().optional(),
+  event:                z.unknown().optional(), // checked with parseEventDetails
+  qr:                   z.unknown().optional(), // checked with parseQrOptions
+  targetDate:           z.string().optional(),  // checked with parseTargetDate; else the event's start date
+});
+
+export const BatchOptions = z.object({
+  rows:        z.array(z.record(z.string(), z.unknown())).min(1).optional(),
+  csv:         z.string().min(1).optional(),
+  brandKitId:  z.string().optional(),
+  concurrency: z.number().int().min(1).max(4).default(2),
+  fallback:    z.boolean().default(true), // other final-poster methods when the row's fails
+  textCheck:   z.unknown().optional(),    // checked with parseTextCheck
+}).refine((options) => Boolean(options.rows) !== Boolean(options.csv), 'Send either rows or csv');
+
+export class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchError';
+    this.status = 400;
+  }
+}
+
+const issueList = (error, prefix = '') => error.issues
+  .map((issue) => `${prefix}${issue.path.join('.') || 'body'}: ${issue.message}`)
+  .join('; ');
+
+/* ──── CSV ───── */
+// Comma, semicolon (European Excel) or tab (pasted from a sheet), whichever the header uses most
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, delimiter) => (
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  ));
+}
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and line breaks
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, ''); // Excel's byte order mark
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[i + 1] === '"') field += text[++i];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new BatchError('CSV has an unterminated quoted field');
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+const columnKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// A CSV sheet as row objects of the JSON shape; unknown columns are reported, not fatal
+function csvToRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header || !lines.length) throw new BatchError('CSV needs a header row and at least one event row');
+
+  const ignoredColumns = [];
+  const setters = header.map((title) => {
+    const key = columnKey(title);
+    const eventField = EVENT_COLUMNS.find((field) => [field.toLowerCase(), `event${field.toLowerCase()}`].includes(key));
+    if (COLUMNS[key]) return (row, value) => { row[COLUMNS[key]] = value; };
+    if (eventField) return (row, value) => { (row.event ??= {})[eventField] = value; };
+    if (RECURRING_COLUMNS[key]) {
+      return (row, value) => {
+        ((row.event ??= {}).recurring ??= {})[RECURRING_COLUMNS[key]] = value.split(/[;,|]/).map((part) => part.trim()).filter(Boolean);
+      };
+    }
+    ignoredColumns.push(title);
+    return null;
+  });
+
+  const rows = lines.map((cells) => {
+    const row = {};
+    cells.forEach((cell, index) => {
+      const value = cell.trim();
+      if (value && setters[index]) setters[index](row, value);
+    });
+    return row;
+  });
+  return { rows, ignoredColumns };
+}
+
+/**
+ * Validates a batch request. Rows come from `rows` or `csv`; every row is
+ * checked with BatchRow, and problems are reported for all rows at once
+ * ("row 3: headline: Required") so the sheet can be fixed in one go.
+ *
+ * @returns {{ options: object, rows: object[], ignoredColumns: string[] }}
+ */
+export function parseBatchRequest(body) {
+  const parsed = BatchOptions.safeParse(body);
+  if (!parsed.success) throw new BatchError(`Invalid batch – ${issueList(parsed.error)}`);
+
+  const { rows: input, ignoredColumns } = parsed.data.csv
+    ? csvToRows(parsed.data.csv)
+    : { rows: parsed.data.rows, ignoredColumns: [] };
+  if (input.length > MAX_BATCH_ROWS) {
+    throw new BatchError(`A batch holds at most ${MAX_BATCH_ROWS} rows (got ${input.length})`);
+  }
+
+  const issues = [];
+  const rows = input.map((row, index) => {
+    const result = BatchRow.safeParse(row);
+    if (!result.success) issues.push(issueList(result.error, `row ${index + 1}: `));
+    return result.data;
+  });
+  if (issues.length) throw new BatchError(`Invalid batch rows – ${issues.join('; ')}`);
+  return { options: parsed.data, rows, ignoredColumns };
+}
+
+/* ──── Runner ───── */
+/**
+ * Runs `work(item, index)` over `items` with at most `concurrency` in flight.
+ * Every item settles to `{ status: 'succeeded', value }` or
+ * `{ status: 'failed', error }`; items not started before a cancel are
+ * `canceled`.
+ */
+export async function runBatch(items, concurrency, work, ctx) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      if (ctx.signal.aborted) {
+        results[index] = { status: 'canceled' };
+        continue;
+      }
+      try {
+        results[index] = { status: 'succeeded', value: await work(items[index], index) };
+      } catch (error) {
+        console.warn(`Batch row ${index + 1} failed:`, error.message);
+        results[index] = { status: 'failed', error: error.message };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/* ──── Results archive ───── */
+const slug = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'poster';
+
+export function posterFileName(index, headline) {
+  return `${String(index + 1).padStart(2, '0')}-${slug(headline)}.png`;
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(…)", "+1", "@SUM") gets a leading '
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Zips the finished posters with results.csv (one line per row, failures
+ * included) and results.json.
+ *
+ * @param {object[]} rows     Per-row results as returned by the batch route.
+ * @param {Map<number, Buffer>} posters  Poster bytes by row index.
+ * @returns {Promise<Buffer>}
+ */
+export async function batchZip(rows, posters) {
+  const archive = archiver('zip', { store: true }); // PNGs are already compressed
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  const header = ['row', 'status', 'headline', 'subHeadline', 'imageDescription', 'method', 'file', 'imageUrl', 'error'];
+  const lines = rows.map((row) => [
+    row.row, row.status, row.headline, row.subHeadline, row.imageDescription, row.method,
+    posters.has(row.row - 1) ? posterFileName(row.row - 1, row.headline) : '', row.imageUrl, row.error,
+  ].map(csvCell).join(','));
+
+  for (const [index, buffer] of posters) {
+    archive.append(buffer, { name: posterFileName(index, rows[index].headline) });
+  }
+  archive.append([header.join(','), ...lines].join('\r\n'), { name: 'results.csv' });
+  archive.append(JSON.stringify(rows, null, 2), { name: 'results.json' });
+  await archive.finalize();
+  await finished;
+  return Buffer.concat(chunks);
+}
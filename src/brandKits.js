@@ -0,0 +1,229 @@
+/* ───────────────────────────── Church brand kits ── */
+// A brand kit holds a church's palette, logo, fonts and voice. Kits are kept
+// in a JSON file under DATA_DIR and injected into every generator prompt when
+// a request carries a `brandKitId`.
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+import sharp  from 'sharp';
+import { z }  from 'zod';
+
+import { saveAsset, parseAssetUrl } from './assets.js';
+import { fetchRemote } from './remoteFetch.js';
+
+const DATA_DIR   = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const STORE_PATH = path.join(DATA_DIR, 'brand-kits.json');
+const LOGO_MAX_BYTES = 5 * 1024 * 1024;
+
+/* ──── Schema ───── */
+const HexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Colors must be #RRGGBB hex');
+
+const BrandColor = z.object({
+  name: z.string().min(1),
+  hex:  HexColor,
+  role: z.enum(['primary', 'secondary', 'accent', 'neutral', 'background']).default('accent'),
+});
+
+const LogoPlacement = z.enum(['top-left', 'top-right', 'bottom-left', 'bottom-right']);
+
+export const BrandKitInput = z.object({
+  name:       z.string().min(1),
+  churchName: z.string().min(1),
+  address:    z.string().min(1).optional(), // mailing address for email footers
+  colors:     z.array(BrandColor).min(1).max(8),
+  fonts: z.object({
+    headline: z.string().optional(),
+    body:     z.string().optional(),
+    notes:    z.string().optional(), // e.g. "bold geometric sans, never script"
+  }).default({}),
+  voice: z.object({
+    tone:        z.string().optional(), // e.g. "warm, hopeful, plain-spoken"
+    description: z.string().optional(),
+    avoid:       z.array(z.string()).default([]),
+  }).default({}),
+  typographyStyle: z.enum(['focused', 'trendy', 'kids', 'handwritten']).optional(),
+  logo: z.object({
+    url:       z.string().url().optional(), // copied into the asset library when the kit is saved
+    sourceUrl: z.string().url().optional(), // where `url` was copied from
+    base64:    z.string().optional(), // PNG, preferably transparent
+    placement: LogoPlacement.default('bottom-right'),
+    widthRatio: z.number().min(0.03).max(0.4).default(0.12), // logo width / poster width
+  }).refine((logo) => logo.url || logo.base64, 'Logo needs url or base64').optional(),
+});
+
+const BrandKitPatch = BrandKitInput.partial();
+
+export class BrandKitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BrandKitError';
+    this.status = status;
+  }
+}
+
+/* ──── File store ───── */
+function readStore() {
+  if (!fs.existsSync(STORE_PATH)) return {};
+  return JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+}
+
+function writeStore(kits) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  // Write-then-rename so a crash never leaves a half-written file
+  const tempPath = `${STORE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(kits, null, 2));
+  fs.renameSync(tempPath, STORE_PATH);
+}
+
+function validate(schema, body) {
+  const parsed = schema.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new BrandKitError(`Invalid brand kit – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+export function listBrandKits() {
+  return Object.values(readStore());
+}
+
+export function getBrandKit(id) {
+  return readStore()[id] || null;
+}
+
+// Remote logos are fetched once, when the kit is saved, and kept as an asset.
+// Posters then never download from the church's website, which isn't on the
+// image host allowlist, and a bad logo URL fails here rather than after a
+// paid generation.
+async function importLogo(logo) {
+  if (!logo?.url || parseAssetUrl(logo.url)) return logo;
+  let image;
+  try {
+    image = await fetchRemote(logo.url, { anyHost: true, maxBytes: LOGO_MAX_BYTES });
+  } catch (error) {
+    throw new BrandKitError(`Could not fetch the logo from ${logo.url}: ${error.message}`);
+  }
+  const asset = await saveAsset(image.buffer, { route: 'brand-logo', mimeType: image.contentType, sourceUrl: logo.url });
+  return { ...logo, url: asset.url, sourceUrl: logo.url };
+}
+
+export async function createBrandKit(body) {
+  const input = validate(BrandKitInput, body);
+  const now = new Date().toISOString();
+  const kit = { id: crypto.randomUUID(), ...input, logo: await importLogo(input.logo), createdAt: now, updatedAt: now };
+
+  const kits = readStore();
+  kits[kit.id] = kit;
+  writeStore(kits);
+  return kit;
+}
+
+export async function updateBrandKit(id, body, { replace = false } = {}) {
+  const existing = readStore()[id];
+  if (!existing) return null;
+
+  const input = replace ? validate(BrandKitInput, body) : validate(BrandKitPatch, body);
+  const merged = replace ? input : { ...existing, ...input };
+  // Re-validate the merged kit so a patch can't leave it inconsistent
+  const valid = validate(BrandKitInput, merged);
+  const kit = {
+    ...valid,
+    logo: await importLogo(valid.logo),
+    id,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  // Re-read: the logo download may have overlapped other writes
+  const kits = readStore();
+  if (!kits[id]) return null;
+  kits[id] = kit;
+  writeStore(kits);
+  return kit;
+}
+
+export function deleteBrandKit(id) {
+  const kits = readStore();
+  if (!kits[id]) return false;
+  delete kits[id];
+  writeStore(kits);
+  return true;
+}
+
+// Returns the kit for an optional id, or null when none was requested.
+export function resolveBrandKit(brandKitId) {
+  if (!brandKitId) return null;
+  const kit = getBrandKit(brandKitId);
+  if (!kit) throw new BrandKitError(`Unknown brandKitId: ${brandKitId}`, 404);
+  return kit;
+}
+
+/* ──── Prompt fragments ───── */
+export function brandPalettePrompt(kit) {
+  const colors = kit.colors.map((color) => `${color.name} ${color.hex} (${color.role})`).join(', ');
+  return `Use ${kit.churchName}'s brand palette: ${colors}. Do not introduce other dominant colors.`;
+}
+
+export function brandTypographyPrompt(kit) {
+  const parts = [brandPalettePrompt(kit)];
+  if (kit.fonts.headline) parts.push(`Headline typeface in the style of ${kit.fonts.headline}.`);
+  if (kit.fonts.body) parts.push(`Subheadline typeface in the style of ${kit.fonts.body}.`);
+  if (kit.fonts.notes) parts.push(kit.fonts.notes);
+  return parts.join(' ');
+}
+
+export function brandVoicePrompt(kit) {
+  const { tone, description, avoid } = kit.voice;
+  const parts = [`Write in the voice of ${kit.churchName}.`];
+  if (tone) parts.push(`Tone of voice: ${tone}.`);
+  if (description) parts.push(description);
+  if (avoid.length) parts.push(`Never use: ${avoid.join(', ')}.`);
+  return parts.join(' ');
+}
+
+// Ideogram v3 color_palette payload
+export function ideogramColorPalette(kit) {
+  const weights = { primary: 0.4, secondary: 0.25, accent: 0.15, neutral: 0.1, background: 0.1 };
+  return {
+    members: kit.colors.map((color) => ({
+      color_hex:    color.hex.toUpperCase(),
+      color_weight: weights[color.role],
+    })),
+  };
+}
+
+/* ──── Logo stamping ───── */
+async function loadLogo(kit, download) {
+  if (kit.logo.base64) {
+    return Buffer.from(kit.logo.base64.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64');
+  }
+  return download(kit.logo.url);
+}
+
+/**
+ * Places the kit's logo in its configured corner. `download(url)` fetches a
+ * remote logo; returns the poster unchanged when the kit has no logo. `area`
+ * ({ left, top, width, height }) limits the corners to part of the poster,
+ * e.g. the space an event band leaves free.
+ */
+export async function stampLogo(posterBuffer, kit, download, { area = null } = {}) {
+  if (!kit?.logo) return posterBuffer;
+
+  const poster = await sharp(posterBuffer).metadata();
+  const { left: areaLeft, top: areaTop, width, height } = area || { left: 0, top: 0, width: poster.width, height: poster.height };
+  const logoWidth = Math.round(width * kit.logo.widthRatio);
+  const logo = await sharp(await loadLogo(kit, download))
+    .resize({ width: logoWidth, height: Math.round(height * 0.25), fit: 'inside' })
+    .png()
+    .toBuffer();
+  const logoMeta = await sharp(logo).metadata();
+
+  const margin = Math.round(Math.min(width, height) * 0.04);
+  const [vertical, horizontal] = kit.logo.placement.split('-');
+  const left = areaLeft + (horizontal === 'left' ? margin : width - logoMeta.width - margin);
+  const top  = areaTop + (vertical === 'top' ? margin : height - logoMeta.height - margin);
+
+  return sharp(posterBuffer).composite([{ input: logo, left, top }]).png().toBuffer();
+}
@@ -0,0 +1,245 @@
+/* ───────────────────────────── Calendar import ── */
+// Church calendars (Planning Center, Google Calendar, …) export iCalendar
+// feeds. Events are expanded into dated occurrences – recurrence rules,
+// EXDATEs and moved or canceled single occurrences included – with times
+// kept as the venue's wall clock, which is what a poster prints. Each
+// occurrence also comes in the event details shape of eventDetails.js.
+
+import ICAL  from 'ical.js';
+import { z } from 'zod';
+
+import { COMMUNICATION_TYPES } from './campaigns.js';
+
+const MAX_OCCURRENCES = 200;
+const MAX_EXPANSION   = 5000; // recurrence steps per event, against endless rules
+
+export const CalendarOptions = z.object({
+  ics:      z.string().min(1).refine((text) => text.includes('BEGIN:VCALENDAR'), 'must be iCalendar text (BEGIN:VCALENDAR …)'),
+  from:     z.string().datetime({ offset: true }).or(z.string().regex(/^\d{4}-\d{2}-\d{2}$/)).optional(), // default: now
+  days:     z.number().int().min(1).max(366).default(60),
+  timeZone: z.string().optional(), // for UTC and floating times; default: the calendar's own (see calendarTimeZone)
+});
+
+export const CalendarDraftOptions = CalendarOptions.extend({
+  events:      z.array(z.string().min(1)).min(1).max(20).optional(), // occurrence ids; default: the next `limit`
+  limit:       z.number().int().min(1).max(20).default(5),
+  types:       z.array(z.enum(COMMUNICATION_TYPES)).min(1).default(['social-facebook', 'email-announcement']),
+  tone:        z.string().min(1).default('warm and welcoming'),
+  audience:    z.string().min(1).default('church members and guests'),
+  brandKitId:  z.string().optional(),
+  concurrency: z.number().int().min(1).max(4).default(2),
+});
+
+export class CalendarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarError';
+    this.status = 400;
+  }
+}
+
+function validate(schema, body) {
+  const parsed = schema.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new CalendarError(`Invalid calendar import – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+export function parseCalendarOptions(body) {
+  return validate(CalendarOptions, body);
+}
+
+export function parseCalendarDraftRequest(body) {
+  return validate(CalendarDraftOptions, body);
+}
+
+/* ──── Time zones ───── */
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The zone the calendar is kept in: `timeZone` when given, else X-WR-TIMEZONE,
+// else the first IANA zone among its VTIMEZONEs and event TZIDs, else UTC.
+// Outlook-style TZIDs ("Eastern Standard Time") aren't IANA names and are skipped.
+function calendarTimeZone(root, timeZone) {
+  if (timeZone) return timeZone;
+  const named = root.getFirstPropertyValue('x-wr-timezone');
+  if (named) return named;
+  const tzids = [
+    ...root.getAllSubcomponents('vtimezone').map((zone) => zone.getFirstPropertyValue('tzid')),
+    ...root.getAllSubcomponents('vevent').map((vevent) => vevent.getFirstProperty('dtstart')?.getParameter('tzid')),
+  ];
+  return tzids.find((tzid) => tzid && isTimeZone(tzid)) || 'UTC';
+}
+
+// Wall-clock fields of an instant in `timeZone`
+function wallClock(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  }).formatToParts(instant).map((part) => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// The instant a wall-clock time in `timeZone` happens, for zones the file doesn't define
+function zonedToUtc({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const wall = wallClock(new Date(instant), timeZone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - instant;
+  };
+  return new Date(guess - offsetAt(guess - offsetAt(guess)));
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+const localDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+const localDateTime = (time) => `${localDate(time)}T${pad(time.hour)}:${pad(time.minute)}`;
+
+/**
+ * An ICAL.Time as `{ local, instant }`: `local` the venue's wall clock
+ * ("2026-04-05T10:30", or "2026-04-05" for all-day), `instant` a Date.
+ * `tzid` is the TZID parameter of the property the time came from.
+ */
+function resolveTime(time, tzid, calendarZone) {
+  if (time.isDate) {
+    const midnight = { year: time.year, month: time.month, day: time.day, hour: 0, minute: 0 };
+    return { local: localDate(time), instant: zonedToUtc(midnight, calendarZone) };
+  }
+  if (time.zone?.tzid === 'UTC') {
+    const instant = time.toJSDate();
+    return { local: localDateTime(wallClock(instant, calendarZone)), instant };
+  }
+  if (time.zone && time.zone !== ICAL.Timezone.localTimezone) {
+    return { local: localDateTime(time), instant: time.toJSDate() }; // zone defined in the file
+  }
+  // Floating, or a TZID the file doesn't define
+  const zone = tzid && isTimeZone(tzid) ? tzid : calendarZone;
+  return { local: localDateTime(time), instant: zonedToUtc(time, zone) };
+}
+
+/* ──── Occurrences ───── */
+// "Student Center, 100 Main St, Springfield" → venue + address
+function splitLocation(location) {
+  if (!location) return {};
+  const [venue, ...rest] = location.split(',').map((part) => part.trim()).filter(Boolean);
+  return rest.length ? { venue, address: rest.join(', ') } : { venue };
+}
+
+// All-day DTEND is exclusive: an event ending 2026-11-16 ends on the 15th
+function inclusiveEnd(end, start) {
+  if (!end?.isDate) return end;
+  const last = end.clone();
+  last.adjust(-1, 0, 0, 0);
+  return last.compare(start) > 0 ? last : null;
+}
+
+function occurrence(details, master, calendarZone) {
+  const { item } = details;
+  const tzid = (component, name) => component.getFirstProperty(name)?.getParameter('tzid') || null;
+  const start = resolveTime(details.startDate, tzid(item.component, 'dtstart') || tzid(master.component, 'dtstart'), calendarZone);
+  const endTime = inclusiveEnd(details.endDate, details.startDate);
+  const end = endTime && resolveTime(endTime, tzid(item.component, 'dtend') || tzid(master.component, 'dtend'), calendarZone);
+  const url = item.component.getFirstPropertyValue('url') || master.component.getFirstPropertyValue('url') || null;
+  const recurring = master.isRecurring();
+  const location = item.location || master.location || null;
+
+  return {
+    id:          recurring ? `${master.uid}/${details.recurrenceId.toString()}` : master.uid,
+    uid:         master.uid,
+    title:       item.summary || master.summary || '',
+    description: item.description || master.description || null,
+    location,
+    url,
+    startsAt:    start.local,
+    endsAt:      end && end.local !== start.local ? end.local : null,
+    start:       start.instant.toISOString(),
+    end:         end ? end.instant.toISOString() : null,
+    allDay:      details.startDate.isDate,
+    recurring,
+    rule:        recurring ? String(master.component.getFirstPropertyValue('rrule')) : null,
+    // Ready for `event` on the poster routes
+    eventDetails: {
+      startsAt: start.local,
+      ...(end && end.local !== start.local && { endsAt: end.local }),
+      ...splitLocation(location),
+      ...(url && /^https?:\/\//i.test(url) && { registrationUrl: url }),
+    },
+  };
+}
+
+const isCanceled = (component) => String(component.getFirstPropertyValue('status') || '').toUpperCase() === 'CANCELLED';
+
+/**
+ * Parses iCalendar text and returns the occurrences that start within
+ * `days` of `from`, soonest first (at most 200).
+ *
+ * @param {object} options Parsed CalendarOptions.
+ * @returns {{ calendar: { name, timeZone }, events: object[], truncated: boolean }}
+ */
+export function calendarOccurrences(options) {
+  let root;
+  try {
+    root = new ICAL.Component(ICAL.parse(options.ics));
+  } catch (error) {
+    throw new CalendarError(`Could not parse the calendar: ${error.message}`);
+  }
+
+  const calendarZone = calendarTimeZone(root, options.timeZone);
+  if (!isTimeZone(calendarZone)) throw new CalendarError(`Unknown time zone "${calendarZone}"`);
+  for (const zone of root.getAllSubcomponents('vtimezone')) ICAL.TimezoneService.register(zone);
+
+  const from = options.from ? new Date(options.from) : new Date();
+  const until = new Date(from.getTime() + options.days * 24 * 60 * 60 * 1000);
+
+  // Moved or canceled single occurrences (RECURRENCE-ID) belong to their series
+  const vevents = root.getAllSubcomponents('vevent');
+  const masters = new Map();
+  for (const vevent of vevents.filter((component) => !component.hasProperty('recurrence-id'))) {
+    masters.set(vevent.getFirstPropertyValue('uid'), new ICAL.Event(vevent));
+  }
+  for (const vevent of vevents.filter((component) => component.hasProperty('recurrence-id'))) {
+    masters.get(vevent.getFirstPropertyValue('uid'))?.relateException(vevent);
+  }
+
+  const events = [];
+  for (const master of masters.values()) {
+    if (isCanceled(master.component) || !master.startDate) continue;
+    const iterator = master.iterator();
+    for (let step = 0, next = iterator.next(); next && step < MAX_EXPANSION; step++, next = iterator.next()) {
+      const details = master.getOccurrenceDetails(next);
+      if (isCanceled(details.item.component)) continue;
+      const found = occurrence(details, master, calendarZone);
+      if (new Date(found.start) >= until) break;
+      if (new Date(found.end || found.start) >= from) events.push(found);
+      if (!master.isRecurring()) break;
+    }
+  }
+
+  events.sort((a, b) => a.start.localeCompare(b.start));
+  return {
+    calendar: { name: root.getFirstPropertyValue('x-wr-calname') || null, timeZone: calendarZone },
+    events: events.slice(0, MAX_OCCURRENCES),
+    truncated: events.length > MAX_OCCURRENCES,
+  };
+}
+
+/**
+ * The occurrences to draft: those named in `ids` (in calendar order), or the
+ * next `limit`. An id that isn't in the window is an error, so a stale
+ * selection doesn't silently draft nothing.
+ */
+export function selectOccurrences(events, ids, limit) {
+  if (!ids) return events.slice(0, limit);
+  const known = new Set(events.map((event) => event.id));
+  const unknown = ids.filter((id) => !known.has(id));
+  if (unknown.length) {
+    throw new CalendarError(`Not in the calendar window: ${unknown.join(', ')} (see POST /api/calendar/events for ids)`);
+  }
+  return events.filter((event) => ids.includes(event.id));
+}
@@ -0,0 +1,210 @@
+/* ───────────────────────────── Communication campaigns ── */
+// Campaign mode of /api/aroma: one event or topic becomes a coordinated set of
+// pieces across channels. Every piece has a hard character limit, and every
+// piece that announces the event must carry the same key facts (date, time,
+// location), so the model's output is checked and repaired before it is
+// returned. Single drafts of the social types are held to the same limits.
+
+import { z } from 'zod';
+
+// Limits are in characters (Unicode code points), counted on the final text
+export const CAMPAIGN_CHANNELS = {
+  facebook:          { label: 'Facebook post',      limit: 2000, announces: true },
+  instagram:         { label: 'Instagram caption',  limit: 2200, announces: true, maxHashtags: 30 },
+  xThread:           { label: 'X thread',           limit: 280,  announces: true, minPosts: 2, maxPosts: 6 }, // per post
+  announcementEmail: { label: 'Announcement email', limit: 5000, announces: true, subjectLimit: 78 },
+  thankYouEmail:     { label: 'Thank-you email',    limit: 3000, announces: false, subjectLimit: 78 },
+  eventDescription:  { label: 'Event description',  limit: 2000, announces: true },
+};
+
+export const CHANNEL_NAMES = Object.keys(CAMPAIGN_CHANNELS);
+
+// Single draft types of /api/aroma
+export const COMMUNICATION_TYPES = [
+  'social-facebook', 'social-twitter', 'social-instagram',
+  'email-newsletter', 'email-thankyou', 'email-announcement',
+  'event-description',
+];
+
+// Hard limits for single /api/aroma drafts
+export const DRAFT_LIMITS = {
+  'social-twitter':    280,
+  'social-instagram':  2200,
+  'social-facebook':   2000,
+  'event-description': 2000,
+};
+
+// Facts that must appear verbatim in every announcing piece
+export const CHECKED_FACTS = ['date', 'time', 'location'];
+
+export class CampaignError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CampaignError';
+    this.status = 400;
+  }
+}
+
+/* ──── Schema ───── */
+export const CampaignFacts = z.object({
+  title:    z.string().min(1).optional(),
+  date:     z.string().min(1).optional(),
+  time:     z.string().min(1).optional(),
+  location: z.string().min(1).optional(),
+  url:      z.string().min(1).optional(),
+  cta:      z.string().min(1).optional(), // call to action, e.g. "RSVP by Friday"
+});
+
+const Hashtag = z.string().min(1).transform((tag) => `#${tag.replace(/^#+/, '').replace(/\s+/g, '')}`);
+
+const CHANNEL_SCHEMAS = {
+  facebook:          z.object({ text: z.string().min(1) }),
+  instagram:         z.object({ caption: z.string().min(1), hashtags: z.array(Hashtag).default([]) }),
+  xThread:           z.object({ posts: z.array(z.string().min(1)).min(1) }),
+  announcementEmail: z.object({ subject: z.string().min(1), body: z.string().min(1) }),
+  thankYouEmail:     z.object({ subject: z.string().min(1), body: z.string().min(1) }),
+  eventDescription:  z.object({ text: z.string().min(1) }),
+};
+
+// Schema for a model answer covering `channels`
+export function campaignSchema(channels) {
+  return z.object({
+    facts: CampaignFacts.default({}),
+    ...Object.fromEntries(channels.map((channel) => [channel, CHANNEL_SCHEMAS[channel]])),
+  });
+}
+
+export function resolveChannels(channels) {
+  if (channels === undefined) return CHANNEL_NAMES;
+  const list = Array.isArray(channels) ? channels : [channels];
+  const unknown = list.filter((channel) => !CAMPAIGN_CHANNELS[channel]);
+  if (unknown.length || !list.length) {
+    throw new CampaignError(`channels must be a list of: ${CHANNEL_NAMES.join(', ')}`);
+  }
+  return list;
+}
+
+export function parseFacts(facts = {}) {
+  const parsed = CampaignFacts.safeParse(facts);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `facts.${issue.path.join('.')}: ${issue.message}`);
+    throw new CampaignError(`Invalid facts – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Prompt fragments ───── */
+function describeFacts(facts) {
+  return Object.entries(facts).map(([key, value]) => `- ${key}: ${value}`).join('\n');
+}
+
+export function campaignPrompt(channels, facts) {
+  const shape = channels.map((channel) => {
+    const { label, limit, subjectLimit, maxPosts, minPosts, maxHashtags } = CAMPAIGN_CHANNELS[channel];
+    const fields = {
+      facebook:          `{ "text": string }`,
+      instagram:         `{ "caption": string, "hashtags": string[] (at most ${maxHashtags}) }`,
+      xThread:           `{ "posts": string[] (${minPosts}-${maxPosts} posts, each at most ${limit} characters) }`,
+      announcementEmail: `{ "subject": string (at most ${subjectLimit} characters), "body": string }`,
+      thankYouEmail:     `{ "subject": string (at most ${subjectLimit} characters), "body": string }`,
+      eventDescription:  `{ "text": string }`,
+    }[channel];
+    return `  "${channel}": ${fields} – ${label}, at most ${limit} characters${channel === 'xThread' ? ' per post' : ''}`;
+  }).join(',\n');
+
+  return `Return valid JSON only. Shape:
+{
+  "facts": { "title", "date", "time", "location", "url", "cta" } (strings; omit unknown ones),
+${shape}
+}
+Every piece except the thank-you email must state the date, time and location exactly as written in "facts".
+${Object.keys(facts).length ? `Key facts (use verbatim):\n${describeFacts(facts)}` : 'Decide the key facts once and reuse them verbatim in every piece.'}`;
+}
+
+export function repairPrompt(text, { limit, missing, facts }) {
+  const asks = [];
+  if (missing.length) asks.push(`include these facts verbatim: ${missing.map((key) => `${key} "${facts[key]}"`).join(', ')}`);
+  asks.push(`keep it at most ${limit} characters including spaces`);
+  return `Rewrite the text below so that you ${asks.join(' and ')}. Keep the tone and meaning. Return only the rewritten text.
+
+${text}`;
+}
+
+/* ──── Checks ───── */
+export const charCount = (text) => [...text].length;
+
+// Last resort when the model can't get under the limit: cut at a word boundary
+export function truncateText(text, limit) {
+  if (charCount(text) <= limit) return text;
+  const chars = [...text].slice(0, limit - 1).join('');
+  const cut = chars.replace(/\s+\S*$/, '');
+  return `${(cut.length > limit * 0.6 ? cut : chars).trimEnd()}…`;
+}
+
+function missingFacts(text, facts) {
+  const haystack = text.toLowerCase();
+  return CHECKED_FACTS.filter((key) => facts[key] && !haystack.includes(facts[key].toLowerCase()));
+}
+
+/**
+ * The editable texts of one channel as `{ key, text, limit }`, plus `get` and
+ * `set` helpers for writing a repaired text back. `key` is a readable path,
+ * e.g. "xThread.posts[1]".
+ */
+export function channelTexts(channel, piece) {
+  const { limit, subjectLimit } = CAMPAIGN_CHANNELS[channel];
+  switch (channel) {
+    case 'instagram': {
+      const tags = piece.hashtags.join(' ');
+      return [{
+        key: `${channel}.caption`,
+        text: piece.caption,
+        limit: limit - (tags ? charCount(tags) + 2 : 0), // caption + blank line + hashtags
+        set: (value) => { piece.caption = value; },
+      }];
+    }
+    case 'xThread':
+      return piece.posts.map((post, index) => ({
+        key: `${channel}.posts[${index}]`, text: post, limit, set: (value) => { piece.posts[index] = value; },
+      }));
+    case 'announcementEmail':
+    case 'thankYouEmail':
+      return [
+        { key: `${channel}.subject`, text: piece.subject, limit: subjectLimit, set: (value) => { piece.subject = value; } },
+        { key: `${channel}.body`, text: piece.body, limit, set: (value) => { piece.body = value; } },
+      ];
+    default:
+      return [{ key: `${channel}.text`, text: piece.text, limit, set: (value) => { piece.text = value; } }];
+  }
+}
+
+// The whole text a reader sees for a channel, used for the fact check
+export function channelFullText(channel, piece) {
+  switch (channel) {
+    case 'instagram':         return `${piece.caption}\n\n${piece.hashtags.join(' ')}`;
+    case 'xThread':           return piece.posts.join('\n');
+    case 'announcementEmail':
+    case 'thankYouEmail':     return `${piece.subject}\n${piece.body}`;
+    default:                  return piece.text;
+  }
+}
+
+/**
+ * Checks one channel against its limits and facts.
+ * Returns `{ overLimit: [{ key, length, limit }], missing: [fact] }`.
+ */
+export function checkChannel(channel, piece, facts) {
+  const overLimit = channelTexts(channel, piece)
+    .filter(({ text, limit }) => charCount(text) > limit)
+    .map(({ key, text, limit }) => ({ key, length: charCount(text), limit }));
+  const missing = CAMPAIGN_CHANNELS[channel].announces ? missingFacts(channelFullText(channel, piece), facts) : [];
+  return { overLimit, missing };
+}
+
+// Trims hashtag and thread counts to the channel maximums
+export function clampChannel(channel, piece) {
+  const { maxHashtags, maxPosts } = CAMPAIGN_CHANNELS[channel];
+  if (channel === 'instagram') piece.hashtags = [...new Set(piece.hashtags)].slice(0, maxHashtags);
+  if (channel === 'xThread') piece.posts = piece.posts.slice(0, maxPosts);
+  return piece;
+}
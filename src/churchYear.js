@@ -0,0 +1,383 @@
+/* ───────────────────────────── Church year ── */
+// The liturgical calendar, computed locally for any date: seasons (Advent
+// through Ordinary Time), the feasts and holy days that move with them, and
+// the US holidays churches plan around. Dates follow the Western (Gregorian)
+// Easter and the colors of the Revised Common Lectionary; a day's season,
+// colors and themes can be fed into background, typography and copy prompts.
+//
+// Dates are plain calendar days ("2026-12-06"), handled as UTC midnights so
+// the server's time zone never shifts a day.
+
+import { z } from 'zod';
+
+const DAY = 24 * 60 * 60 * 1000;
+const UPCOMING_DAYS = 7;
+
+const COLORS = {
+  purple:       '#5B2A86',
+  'royal blue': '#1F3A93',
+  white:        '#F5F3EE',
+  gold:         '#C9A227',
+  green:        '#2E7D32',
+  scarlet:      '#9E1B32',
+  red:          '#C62828',
+  black:        '#1A1A1A',
+};
+
+export const SEASONS = {
+  advent: {
+    name: 'Advent', colors: ['purple', 'royal blue'],
+    themes: ['hope', 'waiting', 'preparation', 'the coming of Christ'],
+    imagery: 'Advent candles and an evergreen wreath, a starlit night sky, quiet anticipation',
+  },
+  christmas: {
+    name: 'Christmas', colors: ['white', 'gold'],
+    themes: ['the incarnation', 'joy', 'Emmanuel – God with us', 'peace'],
+    imagery: 'warm candlelight, a starry night over Bethlehem, the nativity, gold and white light',
+  },
+  epiphany: {
+    name: 'Epiphany', colors: ['green'],
+    themes: ['light to the nations', 'revelation', 'mission', 'the calling of the disciples'],
+    imagery: 'a guiding star, light breaking through, journeys and open horizons',
+  },
+  lent: {
+    name: 'Lent', colors: ['purple'],
+    themes: ['repentance', 'prayer', 'fasting', 'the journey to the cross'],
+    imagery: 'desert landscapes, bare branches, muted earth tones, quiet reflection',
+  },
+  'holy-week': {
+    name: 'Holy Week', colors: ['scarlet', 'purple'],
+    themes: ['the passion of Christ', 'sacrifice', 'the cross', 'the Last Supper'],
+    imagery: 'palm branches, a crown of thorns, bread and cup, a rugged cross at dusk',
+  },
+  easter: {
+    name: 'Easter', colors: ['white', 'gold'],
+    themes: ['resurrection', 'new life', 'victory over death', 'living hope'],
+    imagery: 'sunrise, an empty tomb, spring flowers and lilies, bright morning light',
+  },
+  pentecost: {
+    name: 'Pentecost', colors: ['red'],
+    themes: ['the Holy Spirit', 'the birth of the church', 'power for witness', 'unity across languages'],
+    imagery: 'tongues of fire, rushing wind, a descending dove, flame reds and oranges',
+  },
+  ordinary: {
+    name: 'Ordinary Time', colors: ['green'],
+    themes: ['growth', 'discipleship', 'the teaching and ministry of Jesus', 'everyday faithfulness'],
+    imagery: 'growing fields, trees in full leaf, gardens, natural greens',
+  },
+};
+
+export const ChurchYearOptions = z.object({
+  targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'use YYYY-MM-DD'),
+});
+
+export class ChurchYearError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChurchYearError';
+    this.status = 400;
+  }
+}
+
+/* ──── Date arithmetic ───── */
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+const daysBetween = (from, to) => Math.round((to - from) / DAY);
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const sameDay = (a, b) => a.getTime() === b.getTime();
+
+function parseDay(text) {
+  const date = new Date(`${text}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || isoDate(date) !== text) throw new ChurchYearError(`Invalid date "${text}" – use YYYY-MM-DD`);
+  return date;
+}
+
+// Western Easter (the anonymous Gregorian computus)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utc(year, month, day);
+}
+
+// The fourth Sunday before Christmas (November 27 – December 3)
+function firstSundayOfAdvent(year) {
+  const christmas = utc(year, 12, 25);
+  return addDays(christmas, -(christmas.getUTCDay() || 7) - 21);
+}
+
+// The nth `weekday` (0 = Sunday) of a month; n = -1 for the last
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = utc(year, month + 1, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utc(year, month, 1);
+  return addDays(first, ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+}
+
+/* ──── Observances ───── */
+/**
+ * The church feasts and holy days (`kind: 'feast'`) and US holidays
+ * (`kind: 'holiday'`) of a calendar year, in date order. Feasts carry the
+ * liturgical colors of the day when they differ from the season's.
+ */
+export function observances(year) {
+  const easter = easterSunday(year);
+  const advent = firstSundayOfAdvent(year);
+  const epiphany = utc(year, 1, 6);
+  const feast = (id, name, date, extra = {}) => ({ id, name, kind: 'feast', date, ...extra });
+  const holiday = (id, name, date, extra = {}) => ({ id, name, kind: 'holiday', date, ...extra });
+
+  return [
+    holiday('new-years-day', "New Year's Day", utc(year, 1, 1), {
+      themes: ['new beginnings'], imagery: 'a fresh sunrise over an open horizon',
+    }),
+    feast('epiphany', 'Epiphany', epiphany, {
+      colors: ['white', 'gold'], themes: ['the visit of the magi', 'Christ revealed to the nations'],
+      imagery: 'the star over Bethlehem, the magi and their gifts',
+    }),
+    feast('baptism-of-the-lord', 'Baptism of the Lord', addDays(epiphany, 7 - epiphany.getUTCDay()), {
+      colors: ['white'], themes: ['baptism', 'belovedness'], imagery: 'the Jordan River, water and light, a descending dove',
+    }),
+    holiday('mlk-day', 'Martin Luther King Jr. Day', nthWeekday(year, 1, 1, 3), {
+      themes: ['justice', 'reconciliation', 'the beloved community'],
+    }),
+    feast('transfiguration', 'Transfiguration Sunday', addDays(easter, -49), {
+      colors: ['white'], themes: ['glory revealed', 'listening to Jesus'], imagery: 'a radiant mountaintop, dazzling light',
+    }),
+    feast('ash-wednesday', 'Ash Wednesday', addDays(easter, -46), {
+      colors: ['purple'], themes: ['mortality', 'repentance', 'return to God'], imagery: 'ashes, a cross traced in ash, dust and soft grey light',
+    }),
+    feast('palm-sunday', 'Palm Sunday', addDays(easter, -7), {
+      colors: ['scarlet'], themes: ['the triumphal entry', 'hosanna'], imagery: 'waving palm branches, a road into Jerusalem',
+    }),
+    feast('maundy-thursday', 'Maundy Thursday', addDays(easter, -3), {
+      colors: ['scarlet', 'white'], themes: ['the Last Supper', 'servanthood', 'the new commandment'],
+      imagery: 'bread and cup on a simple table, a basin and towel',
+    }),
+    feast('good-friday', 'Good Friday', addDays(easter, -2), {
+      colors: ['black'], themes: ['the crucifixion', 'sacrificial love'], imagery: 'a cross against a darkened sky',
+    }),
+    feast('holy-saturday', 'Holy Saturday', addDays(easter, -1), {
+      themes: ['waiting', 'silence before the resurrection'], imagery: 'a sealed tomb, stillness at dusk',
+    }),
+    feast('easter-sunday', 'Easter Day', easter, {
+      themes: ['He is risen', 'resurrection', 'new life'], imagery: 'sunrise over an empty tomb, white lilies',
+    }),
+    feast('ascension', 'Ascension Day', addDays(easter, 39), {
+      themes: ['Christ ascended and reigning'], imagery: 'light breaking through clouds, an open sky',
+    }),
+    holiday('mothers-day', "Mother's Day", nthWeekday(year, 5, 0, 2), {
+      themes: ['honoring mothers', 'nurture and faith passed on'], imagery: 'fresh spring flowers, soft warm light',
+    }),
+    feast('pentecost', 'Pentecost Sunday', addDays(easter, 49)),
+    holiday('memorial-day', 'Memorial Day', nthWeekday(year, 5, 1, -1), {
+      themes: ['remembrance', 'sacrifice'], imagery: 'American flags, quiet memorial',
+    }),
+    feast('trinity-sunday', 'Trinity Sunday', addDays(easter, 56), {
+      colors: ['white'], themes: ['the Trinity', 'God in community'],
+    }),
+    holiday('fathers-day', "Father's Day", nthWeekday(year, 6, 0, 3), {
+      themes: ['honoring fathers', 'faithful example'],
+    }),
+    holiday('independence-day', 'Independence Day', utc(year, 7, 4), {
+      themes: ['freedom', 'true freedom in Christ'], imagery: 'summer evening, red, white and blue',
+    }),
+    holiday('labor-day', 'Labor Day', nthWeekday(year, 9, 1, 1), {
+      themes: ['work and vocation', 'rest'],
+    }),
+    feast('reformation-sunday', 'Reformation Sunday', nthWeekday(year, 10, 0, -1), {
+      colors: ['red'], themes: ['grace alone', 'the church reformed by the Word'],
+    }),
+    feast('all-saints', "All Saints' Day", utc(year, 11, 1), {
+      colors: ['white'], themes: ['the communion of saints', 'remembering the faithful departed'],
+      imagery: 'candles lit in remembrance, a great cloud of witnesses',
+    }),
+    holiday('veterans-day', 'Veterans Day', utc(year, 11, 11), {
+      themes: ['honoring those who served'],
+    }),
+    feast('christ-the-king', 'Christ the King Sunday', addDays(advent, -7), {
+      colors: ['white', 'gold'], themes: ['the reign of Christ'], imagery: 'a crown, royal light',
+    }),
+    holiday('thanksgiving', 'Thanksgiving Day', nthWeekday(year, 11, 4, 4), {
+      themes: ['gratitude', 'harvest', 'generosity'], imagery: 'an autumn harvest table, golden fields, warm fall colors',
+    }),
+    feast('christmas-eve', 'Christmas Eve', utc(year, 12, 24), {
+      colors: ['white', 'gold'], themes: ['the birth of Christ', 'light in the darkness'],
+      imagery: 'a candlelight service, a starry night over Bethlehem',
+    }),
+    feast('christmas-day', 'Christmas Day', utc(year, 12, 25)),
+  ].sort((a, b) => a.date - b.date);
+}
+
+/* ──── Seasons ───── */
+function seasonOf(date) {
+  const year = date.getUTCFullYear();
+  const easter = easterSunday(year);
+  const advent = firstSundayOfAdvent(year);
+
+  if (date >= utc(year, 12, 25) || date < utc(year, 1, 6)) return 'christmas';
+  if (date >= advent) return 'advent';
+  if (date < addDays(easter, -46)) return 'epiphany';
+  if (date < addDays(easter, -7)) return 'lent';
+  if (date < easter) return 'holy-week';
+  if (date < addDays(easter, 49)) return 'easter';
+  if (sameDay(date, addDays(easter, 49))) return 'pentecost';
+  return 'ordinary';
+}
+
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth',
+  'Eleventh', 'Twelfth', 'Thirteenth', 'Fourteenth', 'Fifteenth', 'Sixteenth', 'Seventeenth', 'Eighteenth', 'Nineteenth'];
+const TENS = { 2: 'Twenty', 3: 'Thirty' };
+
+function ordinal(n) {
+  if (n <= ORDINALS.length) return ORDINALS[n - 1];
+  return n % 10 ? `${TENS[Math.floor(n / 10)]}-${ORDINALS[(n % 10) - 1]}` : `${TENS[n / 10]}ieth`.replace('yieth', 'ieth');
+}
+
+// "Second Sunday of Advent", "Fourth Sunday after Epiphany", …
+function sundayName(date, season) {
+  const year = date.getUTCFullYear();
+  const easter = easterSunday(year);
+  const weeksFrom = (start) => Math.floor(daysBetween(start, date) / 7) + 1;
+
+  switch (season) {
+    case 'advent':    return `${ordinal(weeksFrom(firstSundayOfAdvent(year)))} Sunday of Advent`;
+    case 'christmas': {
+      const christmas = date.getUTCMonth() === 11 ? utc(year, 12, 25) : utc(year - 1, 12, 25);
+      return sameDay(date, christmas) ? null : `${ordinal(Math.ceil(daysBetween(christmas, date) / 7))} Sunday after Christmas`;
+    }
+    case 'epiphany': {
+      const epiphany = utc(year, 1, 6);
+      return sameDay(date, epiphany) ? null : `${ordinal(Math.ceil(daysBetween(epiphany, date) / 7))} Sunday after Epiphany`;
+    }
+    case 'lent':      return `${ordinal(weeksFrom(addDays(easter, -42)))} Sunday in Lent`;
+    // Easter Day is the first Sunday; the numbering runs Second–Seventh after it
+    case 'easter':    return sameDay(date, easter) ? 'Easter Day' : `${ordinal(weeksFrom(easter))} Sunday of Easter`;
+    case 'ordinary':  return `${ordinal(daysBetween(addDays(easter, 49), date) / 7)} Sunday after Pentecost`;
+    default:          return null;
+  }
+}
+
+// The Revised Common Lectionary's three-year cycle turns at Advent
+function lectionaryYear(date) {
+  const year = date >= firstSundayOfAdvent(date.getUTCFullYear()) ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+  return ['C', 'A', 'B'][year % 3];
+}
+
+const describeColors = (names) => names.map((name) => ({ name, hex: COLORS[name] }));
+const publicObservance = ({ id, name, kind }) => ({ id, name, kind });
+
+/**
+ * Where a date falls in the church year.
+ *
+ * @param {string} dateText "YYYY-MM-DD"
+ * @returns {{ date, weekday, title, season: { id, name }, sunday: string|null,
+ *   observances: object[], lectionaryYear: 'A'|'B'|'C', colors: { name, hex }[],
+ *   themes: string[], imagery: string[], upcoming: object[] }}
+ */
+export function churchDay(dateText) {
+  const date = parseDay(dateText);
+  const year = date.getUTCFullYear();
+  const seasonId = seasonOf(date);
+  const season = SEASONS[seasonId];
+  const calendar = [...observances(year), ...observances(year + 1)];
+
+  const today = calendar.filter((entry) => sameDay(entry.date, date));
+  const feast = today.find((entry) => entry.kind === 'feast');
+  const holidays = today.filter((entry) => entry.kind === 'holiday');
+  const sunday = date.getUTCDay() === 0 ? sundayName(date, seasonId) : null;
+  const weekday = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: 'UTC' }).format(date);
+
+  return {
+    date: dateText,
+    weekday,
+    title: feast?.name || sunday || holidays[0]?.name || `${weekday} in ${season.name}`,
+    season: { id: seasonId, name: season.name },
+    sunday,
+    observances: today.map(publicObservance),
+    lectionaryYear: lectionaryYear(date),
+    colors: describeColors(feast?.colors || season.colors),
+    themes: [...new Set([...(feast?.themes ?? []), ...season.themes, ...holidays.flatMap((entry) => entry.themes ?? [])])],
+    imagery: [feast?.imagery || season.imagery, ...holidays.map((entry) => entry.imagery).filter(Boolean)],
+    upcoming: calendar
+      .filter((entry) => entry.date > date && daysBetween(date, entry.date) <= UPCOMING_DAYS)
+      .map((entry) => ({ ...publicObservance(entry), date: isoDate(entry.date), daysAway: daysBetween(date, entry.date) })),
+  };
+}
+
+/**
+ * A calendar year at a glance: its seasons as date ranges (Christmas appears
+ * at both ends) and its observances.
+ */
+export function churchYear(year) {
+  if (!Number.isInteger(year) || year < 1583 || year > 9999) {
+    throw new ChurchYearError('year must be a Gregorian year (1583–9999)');
+  }
+  const seasons = [];
+  for (let date = utc(year, 1, 1); date.getUTCFullYear() === year; date = addDays(date, 1)) {
+    const id = seasonOf(date);
+    const current = seasons.at(-1);
+    if (current?.id === id) current.end = isoDate(date);
+    else seasons.push({ id, name: SEASONS[id].name, start: isoDate(date), end: isoDate(date), colors: describeColors(SEASONS[id].colors) });
+  }
+  return {
+    year,
+    easter: isoDate(easterSunday(year)),
+    seasons,
+    observances: observances(year).map((entry) => ({
+      ...publicObservance(entry),
+      date: isoDate(entry.date),
+      ...(entry.colors && { colors: describeColors(entry.colors) }),
+    })),
+  };
+}
+
+/**
+ * The church day for a request's `targetDate`, or null when it has none.
+ */
+export function parseTargetDate(body) {
+  if (body?.targetDate === undefined || body.targetDate === null || body.targetDate === '') return null;
+  const parsed = ChurchYearOptions.safeParse({ targetDate: body.targetDate });
+  if (!parsed.success) {
+    throw new ChurchYearError(`Invalid targetDate – ${parsed.error.issues.map((issue) => issue.message).join('; ')}`);
+  }
+  return churchDay(parsed.data.targetDate);
+}
+
+/* ──── Prompt fragments ───── */
+const list = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items.at(-1)}` : items[0]);
+
+function upcomingText({ upcoming }) {
+  if (!upcoming.length) return '';
+  return ` Coming up: ${list(upcoming.map((entry) => `${entry.name} (${entry.date})`))}.`;
+}
+
+/**
+ * Season context for copy and sermon prompts.
+ */
+export function churchYearPrompt(day) {
+  const observed = day.observances.filter((entry) => entry.name !== day.title).map((entry) => entry.name);
+  return `Church calendar: ${day.weekday}, ${day.date} – ${day.title}, in the season of ${day.season.name} (lectionary year ${day.lectionaryYear}, liturgical color ${list(day.colors.map((color) => color.name))}).${observed.length ? ` Also observed that day: ${list(observed)}.` : ''} Let its themes – ${list(day.themes)} – shape the content where they fit naturally, without forcing them.${upcomingText(day)}`;
+}
+
+/**
+ * Season context for image prompts. `colors: false` leaves the palette to a
+ * brand kit.
+ */
+export function churchYearVisualPrompt(day, { colors = true } = {}) {
+  const palette = colors ? `, with ${list(day.colors.map((color) => color.name))} as the seasonal accent colors` : '';
+  return `The design is for ${day.title} (${day.season.name}): draw on ${day.imagery.join('; ')}${palette}.`;
+}
@@ -0,0 +1,164 @@
+/* ───────────────────────────── Local poster compositor ── */
+// Layers transparent typography over a background photo with sharp.
+// Every effect (scrim, vignette, grain) is applied to the background layer
+// only, and the typography is composited last at its native size, so opaque
+// typography pixels come out byte-identical to the input PNG.
+
+import sharp from 'sharp';
+
+export const DEFAULT_WIDTH  = 1536;
+export const DEFAULT_HEIGHT = 1024;
+
+export class CompositeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompositeError';
+    this.status = 400;
+  }
+}
+
+/* ─────────────────────────── Helpers ── */
+// mulberry32 – small seeded PRNG so grain is reproducible for a given seed
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function scrimSvg(width, height, box, opacity, feather) {
+  // Soft-edged dark rectangle behind the typography box
+  const pad = Math.round(Math.max(box.width, box.height) * feather);
+  return Buffer.from(`
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <filter id="f" x="-50%" y="-50%" width="200%" height="200%">
+      <feGaussianBlur stdDeviation="${Math.max(1, pad / 2)}"/>
+    </filter>
+  </defs>
+  <rect x="${box.left - pad / 2}" y="${box.top - pad / 2}"
+        width="${box.width + pad}" height="${box.height + pad}"
+        rx="${pad}" fill="black" fill-opacity="${opacity}" filter="url(#f)"/>
+</svg>`);
+}
+
+function vignetteSvg(width, height, strength) {
+  return Buffer.from(`
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <radialGradient id="v" cx="50%" cy="50%" r="75%">
+      <stop offset="55%" stop-color="black" stop-opacity="0"/>
+      <stop offset="100%" stop-color="black" stop-opacity="${strength}"/>
+    </radialGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#v)"/>
+</svg>`);
+}
+
+async function grainLayer(width, height, amount, seed) {
+  // Mid-grey noise blended with `overlay`, so 50% grey leaves pixels unchanged
+  const random = seededRandom(seed);
+  const spread = clamp(amount, 0, 1) * 128;
+  const pixels = Buffer.alloc(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = clamp(Math.round(128 + (random() * 2 - 1) * spread), 0, 255);
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/* ─────────────────────────── Public API ── */
+/**
+ * Compose the final poster.
+ *
+ * @param {Buffer} backgroundBuffer  Any image sharp can read; cover-cropped to the canvas.
+ * @param {Buffer} typographyBuffer  Transparent PNG of the typography.
+ * @param {object} [options]
+ * @param {number} [options.width=1536]   Canvas width.
+ * @param {number} [options.height=1024]  Canvas height.
+ * @param {object} [options.area]         { left, top, width, height } the typography is centered
+ *                                        in (default: the whole canvas), e.g. above an event band.
+ * @param {number} [options.x]            Typography left edge in px (default: centered).
+ * @param {number} [options.y]            Typography top edge in px (default: centered).
+ * @param {number} [options.scale=1]      Typography scale. Anything but 1 resamples the
+ *                                        typography and gives up pixel identity.
+ * @param {number|boolean} [options.scrim]    Darkening behind the text, 0–1 (true = 0.35).
+ * @param {number|boolean} [options.vignette] Edge darkening, 0–1 (true = 0.45).
+ * @param {number|boolean} [options.grain]    Film grain amount, 0–1 (true = 0.08).
+ * @param {number} [options.seed=1]       Grain seed, for reproducible output.
+ * @returns {Promise<{ buffer: Buffer, layout: object }>} PNG buffer and typography box.
+ */
+export async function compositePoster(backgroundBuffer, typographyBuffer, options = {}) {
+  const width  = Math.round(options.width  || DEFAULT_WIDTH);
+  const height = Math.round(options.height || DEFAULT_HEIGHT);
+  const scale  = options.scale === undefined ? 1 : Number(options.scale);
+
+  if (!(scale > 0)) throw new CompositeError('scale must be a positive number');
+
+  // 1. Typography layer – untouched unless a non-native scale was requested
+  let typography = await sharp(typographyBuffer).ensureAlpha().png().toBuffer();
+  const meta = await sharp(typography).metadata();
+  let typoWidth  = meta.width;
+  let typoHeight = meta.height;
+
+  if (scale !== 1) {
+    typoWidth  = Math.round(meta.width * scale);
+    typoHeight = Math.round(meta.height * scale);
+    typography = await sharp(typography).resize(typoWidth, typoHeight, { kernel: 'lanczos3' }).png().toBuffer();
+  }
+
+  if (typoWidth > width || typoHeight > height) {
+    throw new CompositeError(
+      `Typography (${typoWidth}x${typoHeight}) does not fit the ${width}x${height} canvas; pass a smaller scale`,
+    );
+  }
+
+  const area = options.area || { left: 0, top: 0, width, height };
+  const left = options.x === undefined
+    ? clamp(Math.round(area.left + (area.width - typoWidth) / 2), 0, width - typoWidth)
+    : Math.round(options.x);
+  const top = options.y === undefined
+    ? clamp(Math.round(area.top + (area.height - typoHeight) / 2), 0, height - typoHeight)
+    : Math.round(options.y);
+
+  if (left < 0 || top < 0 || left + typoWidth > width || top + typoHeight > height) {
+    throw new CompositeError('Typography placement falls outside the canvas');
+  }
+  const box = { left, top, width: typoWidth, height: typoHeight };
+
+  // 2. Background layer with all effects baked in
+  const effects = [];
+  const scrim    = options.scrim === true ? 0.35 : Number(options.scrim || 0);
+  const vignette = options.vignette === true ? 0.45 : Number(options.vignette || 0);
+  const grain    = options.grain === true ? 0.08 : Number(options.grain || 0);
+
+  if (vignette > 0) effects.push({ input: vignetteSvg(width, height, clamp(vignette, 0, 1)) });
+  if (scrim > 0) effects.push({ input: scrimSvg(width, height, box, clamp(scrim, 0, 1), 0.15) });
+  if (grain > 0) {
+    effects.push({ input: await grainLayer(width, height, grain, options.seed ?? 1), blend: 'overlay' });
+  }
+
+  let background = sharp(backgroundBuffer)
+    .rotate()
+    .resize(width, height, { fit: 'cover', position: 'attention' })
+    .removeAlpha();
+  if (effects.length) {
+    background = sharp(await background.png().toBuffer()).composite(effects);
+  }
+  const backgroundPng = await background.png().toBuffer();
+
+  // 3. Typography on top, lossless output
+  const buffer = await sharp(backgroundPng)
+    .composite([{ input: typography, left, top }])
+    .png()
+    .toBuffer();
+
+  return { buffer, layout: { ...box, canvasWidth: width, canvasHeight: height, scale } };
+}
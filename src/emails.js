@@ -0,0 +1,442 @@
+/* ───────────────────────────── Email rendering ── */
+// Turns a Markdown email draft from /api/aroma into something that can go
+// straight into Mailchimp or any other email tool: a responsive, inline-styled
+// HTML email (poster header, brand colors, call-to-action button, footer with
+// address and unsubscribe link), a plain-text alternative, and a complete
+// multipart .eml message.
+
+import crypto from 'crypto';
+import { z }  from 'zod';
+
+export const EMAIL_DRAFT_TYPES = ['email-newsletter', 'email-thankyou', 'email-announcement'];
+
+export const EMAIL_FORMATS = ['json', 'html', 'text', 'eml'];
+
+// Mailchimp merge tags; other tools can pass their own values
+export const UNSUBSCRIBE_PLACEHOLDER = '*|UNSUB|*';
+export const ADDRESS_PLACEHOLDER     = '*|LIST:ADDRESSLINE|*';
+
+const FONT_STACK = "Helvetica, Arial, sans-serif";
+
+export class EmailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailError';
+    this.status = 400;
+  }
+}
+
+/* ──── Schema ───── */
+// Header values must stay on one line, or they could inject extra headers
+const HeaderValue = z.string().min(1).regex(/^[^\r\n]*$/, 'must be a single line');
+
+export const EmailOptions = z.object({
+  subject:        HeaderValue.optional(), // overrides the subject line in the draft
+  preheader:      z.string().optional(),  // inbox preview text
+  cta:            z.object({ label: z.string().min(1), url: z.string().url() }).optional(),
+  churchName:     z.string().min(1).optional(), // defaults to the brand kit's
+  address:        z.string().min(1).optional(), // defaults to the brand kit's
+  unsubscribeUrl: z.string().min(1).default(UNSUBSCRIBE_PLACEHOLDER),
+  from:           HeaderValue.optional(), // .eml only, e.g. "Grace Church <hello@grace.church>"
+  to:             HeaderValue.optional(),
+});
+
+export function parseEmailOptions(options = {}) {
+  const parsed = EmailOptions.safeParse(options);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'email'}: ${issue.message}`);
+    throw new EmailError(`Invalid email options – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Draft → subject, preheader, body ───── */
+const LABEL_LINE = (label) => new RegExp(
+  `^\\s*(?:#+\\s*)?(?:\\*\\*|__)?(?:${label})\\s*:?\\s*(?:\\*\\*|__)?\\s*:?\\s*(.+?)\\s*$`, 'i',
+);
+const SUBJECT_LINE   = LABEL_LINE('subject(?:\\s+line)?');
+const PREHEADER_LINE = LABEL_LINE('preheader|preview(?:\\s+text)?');
+
+const unquote = (text) => text.replace(/^["'“*_]+|["'”*_]+$/g, '').trim();
+
+/**
+ * Models usually open an email with "**Subject:** …" and sometimes a preview
+ * line. Those are lifted out of the body; without one the first heading (or
+ * `fallbackSubject`) becomes the subject.
+ */
+export function splitEmailDraft(markdown, fallbackSubject = '') {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let subject = null;
+  let preheader = null;
+
+  // Only the opening lines can hold them
+  for (let index = 0, seen = 0; index < lines.length && seen < 4; index++) {
+    if (!lines[index].trim()) continue;
+    seen++;
+    const subjectMatch = !subject && lines[index].match(SUBJECT_LINE);
+    const preheaderMatch = !preheader && lines[index].match(PREHEADER_LINE);
+    if (subjectMatch) subject = unquote(subjectMatch[1]);
+    else if (preheaderMatch) preheader = unquote(preheaderMatch[1]);
+    else continue;
+    lines[index] = null;
+  }
+
+  const body = lines.filter((line) => line !== null).join('\n')
+    .replace(/^(?:\s*(?:-{3,}|\*{3,}|_{3,})?\s*\n)+/, '') // rules left behind the subject line
+    .trim();
+
+  const heading = body.match(/^#{1,3}\s+(.+?)\s*#*\s*$/m)?.[1];
+  return {
+    subject:   subject || (heading && inlineText(heading)) || fallbackSubject,
+    preheader,
+    body,
+  };
+}
+
+/* ──── Markdown blocks ───── */
+const LIST_ITEM = /^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/;
+const RULE      = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const HEADING   = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const QUOTE     = /^\s*>\s?(.*)$/;
+
+const startsBlock = (line) => HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// The Markdown subset drafts use: headings, paragraphs, lists, quotes, rules
+function markdownBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    let match;
+
+    if (!line.trim()) {
+      index++;
+    } else if ((match = line.match(HEADING))) {
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+      index++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && (match = lines[index].match(QUOTE))) {
+        quoted.push(match[1]);
+        index++;
+      }
+      blocks.push({ type: 'quote', text: quoted.join('\n') });
+    } else if ((match = line.match(LIST_ITEM))) {
+      const ordered = Boolean(match[1]);
+      const items = [];
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(LIST_ITEM);
+        if (item && Boolean(item[1]) !== ordered) break;
+        if (item) items.push(item[2]);
+        else if (startsBlock(lines[index])) break;
+        else items[items.length - 1] += `\n${lines[index].trim()}`; // wrapped item
+        index++;
+      }
+      blocks.push({ type: 'list', ordered, start: Number(match[1]) || 1, items });
+    } else {
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+        paragraph.push(lines[index].trim());
+        index++;
+      }
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+  }
+  return blocks;
+}
+
+/* ──── Inline Markdown ───── */
+const LINK   = /\[([^\]]+)\]\(((?:https?:\/\/|mailto:|tel:)[^\s)]+)\)/g;
+const BOLD   = /\*\*(.+?)\*\*|__(.+?)__/g;
+// Leaves merge tags like *|FNAME|* alone
+const ITALIC = /\*(?![\s*|])(.+?)(?<![\s|])\*|(^|[^\w])_(?!\s)(.+?)(?<!\s)_(?!\w)/g;
+const CODE   = /`([^`]+)`/g;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function inlineHtml(text, theme) {
+  return escapeHtml(text)
+    .replace(CODE, '<code style="font-family:Menlo,Consolas,monospace;font-size:90%;">$1</code>')
+    .replace(LINK, (_, label, url) => `<a href="${url}" style="color:${theme.link};text-decoration:underline;">${label}</a>`)
+    .replace(BOLD, (_, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(ITALIC, (_, a, lead, b) => (a !== undefined ? `<em>${a}</em>` : `${lead}<em>${b}</em>`))
+    .replace(/\n/g, '<br>');
+}
+
+function inlineText(text) {
+  return text
+    .replace(CODE, '$1')
+    .replace(LINK, (_, label, url) => (label === url.replace(/^mailto:|^tel:/, '') ? label : `${label} (${url.replace(/^mailto:/, '')})`))
+    .replace(BOLD, (_, a, b) => a ?? b)
+    .replace(ITALIC, (_, a, lead, b) => (a !== undefined ? a : `${lead}${b}`));
+}
+
+/* ──── Theme ───── */
+// Black or white, whichever reads better on `hex`
+function contrastText(hex) {
+  const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16) / 255)
+    .map((channel) => (channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.35 ? '#111111' : '#FFFFFF';
+}
+
+export function emailTheme(kit = null) {
+  const color = (role) => kit?.colors.find((candidate) => candidate.role === role)?.hex;
+  const primary = color('primary') || kit?.colors[0]?.hex || '#1F3A5F';
+  const accent = color('accent') || color('secondary') || primary;
+  return {
+    primary,
+    buttonText:   contrastText(primary),
+    link:         contrastText(accent) === '#FFFFFF' ? accent : primary, // pale accents vanish on white
+    background:   color('background') || '#F2F3F5',
+    text:         '#1F2933',
+    muted:        '#6B7280',
+    font:         kit?.fonts.body ? `'${kit.fonts.body}', ${FONT_STACK}` : FONT_STACK,
+    headlineFont: kit?.fonts.headline ? `'${kit.fonts.headline}', ${FONT_STACK}` : FONT_STACK,
+  };
+}
+
+/* ──── HTML ───── */
+const HEADING_SIZES = [26, 22, 19, 17, 16, 16];
+
+function blockHtml(block, theme) {
+  const text = `color:${theme.text};font-family:${theme.font};font-size:16px;line-height:1.6;`;
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level} style="margin:24px 0 12px;color:${theme.primary};font-family:${theme.headlineFont};font-size:${HEADING_SIZES[block.level - 1]}px;line-height:1.3;">${inlineHtml(block.text, theme)}</h${block.level}>`;
+    case 'rule':
+      return '<hr style="border:0;border-top:1px solid #E5E7EB;margin:24px 0;">';
+    case 'quote':
+      return `<blockquote style="margin:0 0 16px;padding:4px 0 4px 16px;border-left:4px solid ${theme.primary};${text}font-style:italic;">${inlineHtml(block.text, theme)}</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map((item) => `<li style="margin:0 0 8px;">${inlineHtml(item, theme)}</li>`).join('');
+      return `<${tag}${start} style="margin:0 0 16px;padding-left:24px;${text}">${items}</${tag}>`;
+    }
+    default:
+      return `<p style="margin:0 0 16px;${text}">${inlineHtml(block.text, theme)}</p>`;
+  }
+}
+
+function ctaHtml(cta, theme) {
+  // Table button so Outlook keeps the padding and color
+  return `<table role="presentation" cellpadding="0" cellspacing="0" border="0" style="margin:8px auto 24px;">
+<tr><td align="center" bgcolor="${theme.primary}" style="border-radius:6px;">
+<a href="${escapeHtml(cta.url)}" target="_blank" style="display:inline-block;padding:14px 28px;font-family:${theme.font};font-size:16px;font-weight:bold;color:${theme.buttonText};text-decoration:none;border-radius:6px;">${escapeHtml(cta.label)}</a>
+</td></tr>
+</table>`;
+}
+
+function headerHtml(image, churchName, theme) {
+  if (image?.url) {
+    return `<tr><td style="padding:0;"><img src="${escapeHtml(image.url)}" width="600" alt="${escapeHtml(image.alt || churchName || '')}" class="email-header" style="display:block;width:100%;max-width:600px;height:auto;border:0;"></td></tr>`;
+  }
+  if (!churchName) return '';
+  return `<tr><td bgcolor="${theme.primary}" style="padding:24px 32px;color:${theme.buttonText};font-family:${theme.headlineFont};font-size:20px;font-weight:bold;">${escapeHtml(churchName)}</td></tr>`;
+}
+
+function footerHtml({ churchName, address, unsubscribeUrl }, theme) {
+  const lines = [
+    churchName && `<strong>${escapeHtml(churchName)}</strong>`,
+    escapeHtml(address).replace(/\n/g, '<br>'),
+    `<a href="${escapeHtml(unsubscribeUrl)}" style="color:${theme.muted};text-decoration:underline;">Unsubscribe</a>`,
+  ].filter(Boolean);
+  return `<tr><td class="email-padding" style="padding:24px 32px;color:${theme.muted};font-family:${theme.font};font-size:12px;line-height:1.6;text-align:center;">${lines.join('<br>')}</td></tr>`;
+}
+
+function emailHtml({ subject, preheader, blocks, cta, image, footer, language }, theme) {
+  // Hidden preview text, padded so clients don't pull body text in after it
+  const preview = preheader
+    ? `<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;">${escapeHtml(preheader)}${'&#8199;&#847; '.repeat(60)}</div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${language?.code || 'en'}"${language?.rtl ? ' dir="rtl"' : ''}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<title>${escapeHtml(subject)}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .email-container { width: 100% !important; }
+    .email-padding { padding-left: 20px !important; padding-right: 20px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:${theme.background};">
+${preview}
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="${theme.background}" style="background-color:${theme.background};">
+<tr><td align="center" style="padding:24px 0;">
+<table role="presentation" class="email-container" width="600" cellpadding="0" cellspacing="0" border="0" bgcolor="#FFFFFF" style="width:600px;max-width:600px;background-color:#FFFFFF;">
+${headerHtml(image, footer.churchName, theme)}
+<tr><td class="email-padding" style="padding:32px;">
+${blocks.map((block) => blockHtml(block, theme)).join('\n')}
+${cta ? ctaHtml(cta, theme) : ''}
+</td></tr>
+</table>
+<table role="presentation" class="email-container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;">
+${footerHtml(footer, theme)}
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+/* ──── Plain text ───── */
+function blockText(block) {
+  switch (block.type) {
+    case 'heading': {
+      const text = inlineText(block.text);
+      return block.level <= 2 ? `${text}\n${(block.level === 1 ? '=' : '-').repeat([...text].length)}` : text;
+    }
+    case 'rule':  return '----------';
+    case 'quote': return inlineText(block.text).split('\n').map((line) => `> ${line}`).join('\n');
+    case 'list':
+      return block.items
+        .map((item, index) => `${block.ordered ? `${block.start + index}.` : '-'} ${inlineText(item).replace(/\n/g, '\n   ')}`)
+        .join('\n');
+    default: return inlineText(block.text);
+  }
+}
+
+function emailText({ blocks, cta, footer }) {
+  return [
+    ...blocks.map(blockText),
+    cta && `${cta.label}: ${cta.url}`,
+    ['--', footer.churchName, footer.address, `Unsubscribe: ${footer.unsubscribeUrl}`].filter(Boolean).join('\n'),
+  ].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Renders a Markdown email draft.
+ *
+ * @param {string} draft   Markdown from generateCommunicationDraft
+ * @param {object} context `options` (parsed EmailOptions), `brandKit`,
+ *                         `image` ({ url, alt } for the header) and
+ *                         `fallbackSubject` (used when the draft has none)
+ *                         and `language` (from resolveLanguage; sets `lang`
+ *                         and right-to-left layout).
+ * @returns {{ subject, preheader, html, text }}
+ */
+export function renderEmail(draft, {
+  options = {}, brandKit = null, image = null, fallbackSubject = '', language = null,
+} = {}) {
+  const split = splitEmailDraft(draft, fallbackSubject);
+  const subject = (options.subject || split.subject || 'Newsletter').replace(/[\r\n]+/g, ' ');
+  const preheader = options.preheader ?? split.preheader ?? null;
+
+  const blocks = markdownBlocks(split.body);
+  // The subject usually repeats as the opening heading; the header image or
+  // inbox already shows it
+  if (blocks[0]?.type === 'heading' && inlineText(blocks[0].text).trim() === subject.trim()) blocks.shift();
+
+  const footer = {
+    churchName:     options.churchName || brandKit?.churchName || null,
+    address:        options.address || brandKit?.address || ADDRESS_PLACEHOLDER,
+    unsubscribeUrl: options.unsubscribeUrl || UNSUBSCRIBE_PLACEHOLDER,
+  };
+  const content = { subject, preheader, blocks, cta: options.cta, image, footer, language };
+
+  return {
+    subject,
+    preheader,
+    html: emailHtml(content, emailTheme(brandKit)),
+    text: emailText(content),
+  };
+}
+
+/* ──── MIME (.eml) ───── */
+// RFC 2047 encoded words, split so each stays under 75 characters
+function encodeHeader(value) {
+  const clean = value.replace(/[\r\n]+/g, ' ').trim();
+  if (/^[\x20-\x7e]*$/.test(clean)) return clean;
+
+  const words = [];
+  let chunk = '';
+  for (const char of clean) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map((word) => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// "Name <address>" with the display name encoded or quoted as needed
+function encodeAddress(value) {
+  const match = value.trim().match(/^"?(.*?)"?\s*<([^<>\s]+)>$/);
+  if (!match || !match[1]) return value.trim();
+  const [, name, address] = match;
+  const displayName = /^[\x20-\x7e]*$/.test(name)
+    ? (/[()<>@,;:\\".[\]]/.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : name)
+    : encodeHeader(name);
+  return `${displayName} <${address}>`;
+}
+
+const base64Lines = (content) => Buffer.from(content).toString('base64').replace(/.{76}(?!$)/g, '$&\r\n');
+
+const boundary = () => `=_salt_${crypto.randomBytes(12).toString('hex')}`;
+
+function leafPart(contentType, content, headers = []) {
+  return { headers: [`Content-Type: ${contentType}`, 'Content-Transfer-Encoding: base64', ...headers], body: base64Lines(content) };
+}
+
+function multipartPart(subtype, parts) {
+  const marker = boundary();
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${marker}"`],
+    body: [
+      ...parts.map((part) => `--${marker}\r\n${serializePart(part)}`),
+      `--${marker}--`,
+    ].join('\r\n'),
+  };
+}
+
+const serializePart = (part) => `${part.headers.join('\r\n')}\r\n\r\n${part.body}`;
+
+/**
+ * A complete RFC 5322 message: multipart/alternative with the plain-text and
+ * HTML parts. `inlineImages` ([{ cid, buffer, mimeType }]) are attached as
+ * multipart/related parts the HTML references with `cid:` URLs. Without a
+ * `from` the message is marked as an unsent draft, which Outlook and Apple
+ * Mail open ready to send.
+ */
+export function emailToEml(email, { from, to, inlineImages = [], date = new Date() } = {}) {
+  const text = leafPart('text/plain; charset=UTF-8', email.text);
+  const html = leafPart('text/html; charset=UTF-8', email.html);
+  const htmlPart = inlineImages.length
+    ? multipartPart('related', [
+      html,
+      ...inlineImages.map((image) => leafPart(image.mimeType, image.buffer, [
+        `Content-ID: <${image.cid}>`,
+        `Content-Disposition: inline; filename="${image.cid.split('@')[0]}"`,
+      ])),
+    ])
+    : html;
+  const root = multipartPart('alternative', [text, htmlPart]);
+
+  const domain = from?.match(/@([^>\s]+)>?\s*$/)?.[1] || 'localhost';
+  const headers = [
+    from && `From: ${encodeAddress(from)}`,
+    to && `To: ${encodeAddress(to)}`,
+    `Subject: ${encodeHeader(email.subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    !from && 'X-Unsent: 1',
+    ...root.headers,
+  ].filter(Boolean);
+
+  return Buffer.from(`${headers.join('\r\n')}\r\n\r\n${root.body}\r\n`);
+}
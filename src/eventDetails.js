@@ -0,0 +1,280 @@
+/* ───────────────────────────── Event details band ── */
+// The practical information on a poster – when, where, who, how to register –
+// is drawn locally as a secondary band instead of being left to the image
+// model, so it is always legible, spelled right and formatted the same way on
+// every poster. Three layouts keep the headline typography the focal point:
+//   footer      – a full-width strip along the bottom edge
+//   lower-third – a bar across the lower third, left aligned
+//   sidebar     – a panel down the right edge
+// Each layout also defines the area left for the typography, which the
+// compositor and the model prompts use so the two never overlap.
+
+import sharp from 'sharp';
+import { z }  from 'zod';
+
+export const EVENT_BAND_LAYOUTS = ['footer', 'lower-third', 'sidebar'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Local time at the venue: "2026-04-05" or "2026-04-05T10:30"
+const LocalDateTime = z.string().regex(/^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2})?$/, 'use YYYY-MM-DD or YYYY-MM-DDTHH:MM (venue time)');
+const ClockTime = z.string().regex(/^\d{1,2}:\d{2}$/, 'use HH:MM (24-hour)');
+
+export const EventDetails = z.object({
+  startsAt:  LocalDateTime.optional(),
+  endsAt:    LocalDateTime.optional(),
+  recurring: z.object({
+    days:  z.array(z.string().transform((day) => day.toLowerCase()).pipe(z.enum(WEEKDAYS))).min(1),
+    times: z.array(ClockTime).default([]),
+  }).optional(),
+  // Free text when the structured fields don't fit, e.g. "First Sunday of every month"
+  date:            z.string().min(1).optional(),
+  time:            z.string().min(1).optional(),
+  venue:           z.string().min(1).optional(),
+  address:         z.string().min(1).optional(),
+  speaker:         z.string().min(1).optional(),
+  registrationUrl: z.string().url().optional(),
+  registrationText: z.string().min(1).optional(), // shown instead of the bare URL, e.g. "Register at grace.church/vbs"
+  layout:          z.enum(EVENT_BAND_LAYOUTS).default('footer'),
+}).refine(
+  (event) => event.startsAt || event.recurring || event.date || event.time || event.venue || event.address
+    || event.speaker || event.registrationUrl || event.registrationText,
+  'Event details need at least one field to show',
+);
+
+export class EventDetailsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EventDetailsError';
+    this.status = status;
+  }
+}
+
+export function parseEventDetails(event) {
+  const parsed = EventDetails.safeParse(event);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `event.${issue.path.join('.') || 'details'}: ${issue.message}`);
+    throw new EventDetailsError(`Invalid event details – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Formatting ───── */
+// Dates are formatted from their own components (in UTC), so the server's
+// time zone can never move an event to another day
+function toDate(local) {
+  const [date, time = '00:00'] = local.split('T');
+  return new Date(`${date}T${time}:00Z`);
+}
+
+function formatDay(date, locale) {
+  return new Intl.DateTimeFormat(locale, { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' }).format(date);
+}
+
+// "10 AM", "9:30 AM" – in English minutes only when they aren't :00
+function formatClock(hours, minutes, locale) {
+  const date = new Date(Date.UTC(2000, 0, 1, hours, minutes));
+  return new Intl.DateTimeFormat(locale, {
+    hour: 'numeric', minute: minutes || !locale.startsWith('en') ? '2-digit' : undefined, timeZone: 'UTC',
+  }).format(date).replace(/\u202f/g, ' '); // ICU's narrow space before AM/PM is missing from many fonts
+}
+
+const clockOf = (local) => {
+  const [hours, minutes] = local.split(':').map(Number);
+  return { hours, minutes };
+};
+
+// English shares the meridiem: "9 & 11 AM", "9:30 AM & 6 PM"
+function formatTimes(times, locale) {
+  const clocks = times.map(clockOf);
+  const list = new Intl.ListFormat(locale, { style: 'short', type: 'conjunction' });
+  if (!locale.startsWith('en')) return list.format(clocks.map(({ hours, minutes }) => formatClock(hours, minutes, locale)));
+
+  const formatted = clocks.map(({ hours, minutes }) => formatClock(hours, minutes, locale));
+  const meridiems = new Set(formatted.map((text) => text.slice(-2)));
+  const joined = meridiems.size === 1
+    ? `${list.format(formatted.map((text) => text.slice(0, -3)))} ${formatted[0].slice(-2)}`
+    : list.format(formatted);
+  return joined.replace(/,? (?:and|&) /, ' & ');
+}
+
+function formatRecurring({ days, times }, locale) {
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+  // 2023-01-01 was a Sunday
+  const names = days.map((day) => weekday.format(new Date(Date.UTC(2023, 0, 1 + WEEKDAYS.indexOf(day)))));
+  const list = new Intl.ListFormat(locale, { style: 'short', type: 'conjunction' });
+  const dayText = locale.startsWith('en')
+    ? list.format(names.map((name) => `${name}s`)).replace(/,? (?:and|&) /, ' & ')
+    : list.format(names);
+  return times.length ? `${dayText} ${formatTimes(times, locale)}` : dayText;
+}
+
+function formatWhen(event, locale) {
+  if (event.recurring) return formatRecurring(event.recurring, locale);
+  if (!event.startsAt) return [event.date, event.time].filter(Boolean).join(' · ') || null;
+
+  const start = toDate(event.startsAt);
+  const end = event.endsAt ? toDate(event.endsAt) : null;
+  const hasTime = event.startsAt.includes('T');
+  const day = formatDay(start, locale);
+  const startClock = hasTime ? formatClock(start.getUTCHours(), start.getUTCMinutes(), locale) : null;
+
+  if (end && end.toISOString().slice(0, 10) !== start.toISOString().slice(0, 10)) {
+    return `${day} – ${formatDay(end, locale)}${startClock ? ` · ${startClock}` : ''}`;
+  }
+  if (end && hasTime && event.endsAt.includes('T')) {
+    return `${day} · ${startClock} – ${formatClock(end.getUTCHours(), end.getUTCMinutes(), locale)}`;
+  }
+  return startClock ? `${day} · ${startClock}` : day;
+}
+
+/**
+ * The band's lines in display order: `{ kind, text }` with kind one of when,
+ * where, speaker, register. `locale` formats dates (e.g. "es", "ko").
+ */
+export function formatEventDetails(event, locale = 'en') {
+  const where = [event.venue, event.address].filter(Boolean).join(' · ');
+  const register = event.registrationText
+    || event.registrationUrl?.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+  return [
+    { kind: 'when', text: formatWhen(event, locale) },
+    { kind: 'where', text: where },
+    { kind: 'speaker', text: event.speaker },
+    { kind: 'register', text: register },
+  ].filter((line) => line.text);
+}
+
+/* ──── Layout ───── */
+/**
+ * Where the band goes on a `width`×`height` poster, and the area left for the
+ * headline typography. Both are `{ left, top, width, height }` in px.
+ */
+export function eventBandLayout(layout, width, height) {
+  const box = (left, top, boxWidth, boxHeight) => ({
+    left: Math.round(left), top: Math.round(top), width: Math.round(boxWidth), height: Math.round(boxHeight),
+  });
+  switch (layout) {
+    case 'lower-third':
+      return { band: box(0, height * 0.7, width * 0.62, height * 0.18), area: box(0, 0, width, height * 0.68) };
+    case 'sidebar':
+      return { band: box(width * 0.7, 0, width * 0.3, height), area: box(0, 0, width * 0.7, height) };
+    default:
+      return { band: box(0, height * 0.88, width, height * 0.12), area: box(0, 0, width, height * 0.88) };
+  }
+}
+
+// Placement instructions for posters composed by an image model
+export function typographyAreaPrompt(layout, width, height) {
+  const { band, area } = eventBandLayout(layout, width, height);
+  const centerX = Math.round(area.left + area.width / 2);
+  const centerY = Math.round(area.top + area.height / 2);
+  return {
+    center: `the center of the typography area (${centerX}px horizontal, ${centerY}px vertical)`,
+    area,
+    reserve: `Leave the region from x=${band.left} to x=${band.left + band.width} and y=${band.top} to y=${band.top + band.height} free of any text or typography; an information band is added there afterwards.`,
+  };
+}
+
+/* ──── Rendering ───── */
+const MIN_FONT_SIZE = 8;
+// Lines left out, in this order, when the band can't hold them at MIN_FONT_SIZE; `when` always stays
+const DROP_ORDER = ['speaker', 'register', 'where'];
+
+const escapeMarkup = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+// Keeps "11 AM" together when a stacked band wraps
+const keepTimesTogether = (text) => text.replace(/(\d) (AM|PM)\b/g, '$1\u00a0$2');
+
+// Band color: the kit's primary color, else a dark translucent bar
+function bandColors(kit) {
+  const hex = kit?.colors.find((color) => color.role === 'primary')?.hex || kit?.colors[0]?.hex;
+  if (!hex) return { fill: '#000000', opacity: 0.62, text: '#FFFFFF' };
+  const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+  const light = (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6;
+  return { fill: hex, opacity: 0.9, text: light ? '#111111' : '#FFFFFF' };
+}
+
+// Pango markup for the band text. The footer runs everything on one line; the
+// stacked layouts lead with the date in bold.
+function bandMarkup(lines, layout, fontSize, color) {
+  const span = (text, attrs = '') => `<span foreground="${color}"${attrs}>${escapeMarkup(keepTimesTogether(text))}</span>`;
+  if (layout === 'footer') {
+    return lines.map((line, index) => span(line.text, index === 0 ? ' weight="bold"' : '')).join(span('   ·   '));
+  }
+  return lines.map((line, index) => (index === 0
+    ? span(line.text, ` weight="bold" size="${Math.round(fontSize * 1.3 * 1024)}"`)
+    : span(line.text))).join('\n');
+}
+
+async function renderText(markup, font, fontSize, width, align) {
+  const { data, info } = await sharp({
+    text: { text: markup, font: `${font} ${fontSize}px`, width, rgba: true, dpi: 72, align, wrap: 'word', spacing: Math.round(fontSize * 0.45) },
+  }).png().toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/**
+ * Draws the event band onto a poster. Text that doesn't fit the band is
+ * shrunk step by step; if it still doesn't fit at the smallest size, the
+ * lower-priority lines are left out. A date line that can't fit on its own
+ * is a 422 EventDetailsError.
+ *
+ * @param {Buffer} posterBuffer
+ * @param {object} event     Parsed EventDetails.
+ * @param {object} [options] `brandKit` (band color and body font) and `locale`.
+ * @returns {Promise<{ buffer: Buffer, band: object, area: object, lines: object[], dropped: string[] }>}
+ *          PNG buffer, the band box, the area left free, the lines drawn and
+ *          the kinds of the lines left out.
+ */
+export async function renderEventBand(posterBuffer, event, { brandKit = null, locale = 'en' } = {}) {
+  const { width, height } = await sharp(posterBuffer).metadata();
+  const { band, area } = eventBandLayout(event.layout, width, height);
+  const colors = bandColors(brandKit);
+  const font = brandKit?.fonts.body ? `${brandKit.fonts.body}, sans-serif` : 'sans-serif';
+  let lines = formatEventDetails(event, locale);
+
+  const paddingX = Math.round(width * 0.035);
+  const paddingY = event.layout === 'sidebar' ? paddingX : Math.round(band.height * (event.layout === 'footer' ? 0.2 : 0.12));
+  const innerWidth = band.width - paddingX * 2;
+  const innerHeight = band.height - paddingY * 2;
+  const align = event.layout === 'footer' ? 'centre' : 'left';
+
+  const initialSize = Math.round(height * (event.layout === 'footer' ? 0.032 : 0.03));
+  let fontSize = initialSize;
+  let text = await renderText(bandMarkup(lines, event.layout, fontSize, colors.text), font, fontSize, innerWidth, align);
+  const dropped = [];
+  while (text.height > innerHeight || text.width > innerWidth) {
+    if (fontSize > MIN_FONT_SIZE) {
+      fontSize = Math.max(MIN_FONT_SIZE, Math.round(fontSize * 0.88));
+    } else {
+      const kind = DROP_ORDER.find((candidate) => lines.some((line) => line.kind === candidate));
+      if (!kind) {
+        throw new EventDetailsError(
+          `The event's date line doesn't fit the ${event.layout} band; shorten it or use another layout`, 422,
+        );
+      }
+      dropped.push(kind);
+      lines = lines.filter((line) => line.kind !== kind);
+      fontSize = initialSize; // fewer lines may fit at a larger size again
+    }
+    text = await renderText(bandMarkup(lines, event.layout, fontSize, colors.text), font, fontSize, innerWidth, align);
+  }
+
+  const backdrop = Buffer.from(`
+<svg xmlns="http://www.w3.org/2000/svg" width="${band.width}" height="${band.height}">
+  <rect width="100%" height="100%" fill="${colors.fill}" fill-opacity="${colors.opacity}"/>
+</svg>`);
+
+  const textLeft = align === 'centre'
+    ? band.left + Math.round((band.width - text.width) / 2)
+    : band.left + paddingX;
+  const textTop = band.top + Math.max(0, Math.round((band.height - text.height) / 2));
+
+  const buffer = await sharp(posterBuffer)
+    .composite([
+      { input: backdrop, left: band.left, top: band.top },
+      { input: text.buffer, left: textLeft, top: textTop },
+    ])
+    .png()
+    .toBuffer();
+  return { buffer, band, area, lines, dropped };
+}
@@ -0,0 +1,242 @@
+/* ───────────────────────────── Social / presentation export ── */
+// Turns one finished poster into a named set of renditions. Each rendition is
+// cropped when the typography safe zone still fits, and otherwise extended
+// with a blurred copy of the poster so the typography is never cut off.
+
+import sharp from 'sharp';
+import archiver from 'archiver';
+import { placeQrCode } from './qrCodes.js';
+
+export const RENDITIONS = {
+  'instagram-square':  { width: 1080, height: 1080, inset: { x: 0.06, y: 0.06 } },
+  'story':             { width: 1080, height: 1920, inset: { x: 0.06, y: 0.14 } }, // IG/FB UI covers top & bottom
+  'facebook-event':    { width: 1920, height: 1005, inset: { x: 0.05, y: 0.08 } },
+  'youtube-thumbnail': { width: 1280, height: 720,  inset: { x: 0.05, y: 0.06 } },
+  'lobby-slide':       { width: 1920, height: 1080, inset: { x: 0.05, y: 0.05 } },
+};
+
+export const EXPORT_MODES = ['auto', 'crop', 'extend'];
+
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = 400;
+  }
+}
+
+/* ─────────────────────────── Geometry ── */
+// Without an explicit safe zone assume the typography sits in the middle of
+// the poster, which is how every generate-final method places it.
+function defaultSafeZone(width, height) {
+  return {
+    left:   Math.round(width * 0.15),
+    top:    Math.round(height * 0.225),
+    width:  Math.round(width * 0.7),
+    height: Math.round(height * 0.55),
+  };
+}
+
+// Pick the offset closest to `preferred` that satisfies both ranges, falling
+// back to the safe range when they don't overlap.
+function pickOffset(preferred, safeRange, coverRange) {
+  const lo = Math.max(safeRange[0], coverRange[0]);
+  const hi = Math.min(safeRange[1], coverRange[1]);
+  const [min, max] = lo <= hi ? [lo, hi] : safeRange;
+  return Math.min(max, Math.max(min, preferred));
+}
+
+function planRendition(source, zone, preset, mode) {
+  const { width: W, height: H, inset } = preset;
+  const safeW = W * (1 - 2 * inset.x);
+  const safeH = H * (1 - 2 * inset.y);
+
+  const coverScale   = Math.max(W / source.width, H / source.height);
+  const containScale = Math.min(W / source.width, H / source.height);
+  const safeScale    = Math.min(safeW / zone.width, safeH / zone.height);
+
+  let scale;
+  if (mode === 'crop') scale = coverScale;
+  else if (mode === 'extend') scale = containScale;
+  else scale = Math.min(coverScale, safeScale);
+
+  const scaledW = source.width * scale;
+  const scaledH = source.height * scale;
+
+  // Keep the safe zone centered, then slide toward covering the frame
+  const centerX = W / 2 - (zone.left + zone.width / 2) * scale;
+  const centerY = H / 2 - (zone.top + zone.height / 2) * scale;
+
+  const safeRangeX = [W * inset.x - zone.left * scale, W * (1 - inset.x) - (zone.left + zone.width) * scale];
+  const safeRangeY = [H * inset.y - zone.top * scale, H * (1 - inset.y) - (zone.top + zone.height) * scale];
+  const coverRangeX = scaledW >= W ? [W - scaledW, 0] : [0, W - scaledW];
+  const coverRangeY = scaledH >= H ? [H - scaledH, 0] : [0, H - scaledH];
+
+  const left = Math.round(mode === 'crop' ? pickOffset(centerX, coverRangeX, coverRangeX) : pickOffset(centerX, safeRangeX, coverRangeX));
+  const top  = Math.round(mode === 'crop' ? pickOffset(centerY, coverRangeY, coverRangeY) : pickOffset(centerY, safeRangeY, coverRangeY));
+
+  const extended = left > 0 || top > 0 || left + scaledW < W || top + scaledH < H;
+  return {
+    scale,
+    width:  Math.round(scaledW),
+    height: Math.round(scaledH),
+    left,
+    top,
+    strategy: extended ? 'extend' : 'crop',
+  };
+}
+
+function checkSafeZone(zone, source) {
+  if (
+    !(zone.width > 0 && zone.height > 0) ||
+    zone.left < 0 || zone.top < 0 ||
+    zone.left + zone.width > source.width || zone.top + zone.height > source.height
+  ) {
+    throw new ExportError('safeZone must lie within the poster');
+  }
+}
+
+/* ─────────────────────────── Rendering ── */
+// The poster fitted into a `frame` ({ width, height, inset }) as an unencoded sharp pipeline
+async function fitRendition(sourceBuffer, source, zone, frame, mode) {
+  const plan = planRendition(source, zone, frame, mode);
+  const { width: W, height: H } = frame;
+
+  const scaled = await sharp(sourceBuffer).resize(plan.width, plan.height).toBuffer();
+
+  // Visible part of the scaled poster and where it lands on the canvas
+  const cropLeft = Math.max(0, -plan.left);
+  const cropTop  = Math.max(0, -plan.top);
+  const visibleW = Math.min(plan.width - cropLeft, W - Math.max(0, plan.left));
+  const visibleH = Math.min(plan.height - cropTop, H - Math.max(0, plan.top));
+  const visible = await sharp(scaled)
+    .extract({ left: cropLeft, top: cropTop, width: visibleW, height: visibleH })
+    .toBuffer();
+
+  let canvas;
+  if (plan.strategy === 'extend') {
+    // Blurred, darkened cover-fit copy of the poster fills the extension
+    canvas = sharp(
+      await sharp(sourceBuffer)
+        .resize(W, H, { fit: 'cover' })
+        .blur(40)
+        .modulate({ brightness: 0.7 })
+        .toBuffer(),
+    );
+  } else {
+    canvas = sharp({ create: { width: W, height: H, channels: 3, background: '#000000' } });
+  }
+
+  return {
+    image: canvas.composite([{ input: visible, left: Math.max(0, plan.left), top: Math.max(0, plan.top) }]),
+    meta: {
+      width: W,
+      height: H,
+      strategy: plan.strategy,
+      placement: { left: plan.left, top: plan.top, scale: Number(plan.scale.toFixed(4)) },
+    },
+  };
+}
+
+async function renderRendition(sourceBuffer, source, zone, preset, { mode, imageFormat, qr, brandKit }) {
+  const { image: composed, meta } = await fitRendition(sourceBuffer, source, zone, preset, mode);
+  const { width: W, height: H } = preset;
+  const encode = (image) => (imageFormat === 'png' ? image.png() : image.jpeg({ quality: 90, mozjpeg: true })).toBuffer();
+  if (!qr) return { buffer: await encode(composed), meta };
+
+  // The QR code goes inside the rendition's inset, clear of platform UI, and
+  // is checked after the final encode
+  const area = {
+    left: Math.round(W * preset.inset.x),
+    top: Math.round(H * preset.inset.y),
+    width: Math.round(W * (1 - 2 * preset.inset.x)),
+    height: Math.round(H * (1 - 2 * preset.inset.y)),
+  };
+  const placed = await placeQrCode(await composed.png().toBuffer(), qr, {
+    brandKit, area, encode: (buffer) => encode(sharp(buffer)),
+  });
+  return { buffer: placed.buffer, meta: { ...meta, qr: placed.meta } };
+}
+
+/**
+ * Render the requested renditions of a poster.
+ *
+ * @param {Buffer} posterBuffer
+ * @param {object} [options]
+ * @param {string[]} [options.renditions]  Names from RENDITIONS (default: all).
+ * @param {object}   [options.safeZone]    { left, top, width, height } of the typography
+ *                                         in poster pixels, e.g. the `layout` returned by
+ *                                         the composite method.
+ * @param {string}   [options.mode='auto'] 'auto' | 'crop' | 'extend'.
+ * @param {string}   [options.imageFormat='jpeg'] 'jpeg' | 'png'.
+ * @param {object}   [options.qr]          Parsed QrOptions: a QR code added to every rendition.
+ * @param {object}   [options.brandKit]    Colors and font for the QR code's frame and caption.
+ * @returns {Promise<Array<{ name, buffer, meta }>>}
+ */
+export async function exportRenditions(posterBuffer, options = {}) {
+  const { mode = 'auto', imageFormat = 'jpeg', qr = null, brandKit = null } = options;
+  const names = options.renditions?.length ? options.renditions : Object.keys(RENDITIONS);
+
+  const unknown = names.filter((name) => !RENDITIONS[name]);
+  if (unknown.length) {
+    throw new ExportError(`Unknown rendition(s): ${unknown.join(', ')}. Valid: ${Object.keys(RENDITIONS).join(', ')}`);
+  }
+  if (!EXPORT_MODES.includes(mode)) {
+    throw new ExportError(`mode must be one of: ${EXPORT_MODES.join(', ')}`);
+  }
+  if (!['jpeg', 'png'].includes(imageFormat)) {
+    throw new ExportError('imageFormat must be jpeg or png');
+  }
+
+  const sourceBuffer = await sharp(posterBuffer).rotate().removeAlpha().png().toBuffer();
+  const source = await sharp(sourceBuffer).metadata();
+  const zone = options.safeZone || defaultSafeZone(source.width, source.height);
+  checkSafeZone(zone, source);
+
+  const results = [];
+  for (const name of names) {
+    const { buffer, meta } = await renderRendition(sourceBuffer, source, zone, RENDITIONS[name], { mode, imageFormat, qr, brandKit });
+    results.push({ name, buffer, meta });
+  }
+  return results;
+}
+
+/**
+ * Fit a poster into an arbitrary frame with the same crop / extend rules as
+ * the renditions, e.g. a print page. Returns an unencoded sharp pipeline.
+ *
+ * @param {Buffer} posterBuffer
+ * @param {object} frame               { width, height, inset: { x, y } }, insets as
+ *                                     fractions of the frame.
+ * @param {object} [options]           `safeZone` in poster pixels and `mode`, as for
+ *                                     exportRenditions.
+ * @returns {Promise<{ image: import('sharp').Sharp, meta: object }>}
+ */
+export async function fitPoster(posterBuffer, frame, options = {}) {
+  const { mode = 'auto' } = options;
+  if (!EXPORT_MODES.includes(mode)) {
+    throw new ExportError(`mode must be one of: ${EXPORT_MODES.join(', ')}`);
+  }
+  const sourceBuffer = await sharp(posterBuffer).rotate().removeAlpha().png().toBuffer();
+  const source = await sharp(sourceBuffer).metadata();
+  const zone = options.safeZone || defaultSafeZone(source.width, source.height);
+  checkSafeZone(zone, source);
+  return fitRendition(sourceBuffer, source, zone, frame, mode);
+}
+
+export function renditionFileName(name, imageFormat = 'jpeg') {
+  return `${name}.${imageFormat === 'png' ? 'png' : 'jpg'}`;
+}
+
+// Streams the renditions to `res` as a zip archive
+export async function sendRenditionsZip(res, renditions, imageFormat, fileName = 'poster-export.zip') {
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  const archive = archiver('zip', { store: true }); // images are already compressed
+  archive.pipe(res);
+  for (const { name, buffer } of renditions) {
+    archive.append(buffer, { name: renditionFileName(name, imageFormat) });
+  }
+  await archive.finalize();
+}
@@ -0,0 +1,473 @@
+/* ───────────────────────────── Generation history ── */
+// Every generation request is recorded under DATA_DIR/history: the request
+// body, each provider call made on its behalf (prompt or messages, model,
+// seed, prediction id, tokens, duration, estimated cost), the response and how
+// long it all took. The provider layer reports calls; routes opt in with the
+// recordHistory middleware. Inline images in a request body are moved to the
+// asset library so records stay small and can still be replayed.
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { z }  from 'zod';
+
+import { saveAsset, readAsset, parseAssetUrl } from './assets.js';
+import { getJob, subscribeJob } from './jobs.js';
+
+const DATA_DIR    = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const LEGACY_PATH = path.join(DATA_DIR, 'history.json'); // single-file store of earlier versions
+
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 1000; // oldest records are dropped beyond this
+const INLINE_LIMIT  = 4096; // characters; longer data URLs / base64 strings are not kept inline
+
+const DATA_URL = /^data:([\w/+.-]+);base64,/;
+const BASE64   = /^[A-Za-z0-9+/]+={0,2}$/;
+
+export class HistoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HistoryError';
+    this.status = status;
+  }
+}
+
+/* ──── File store ───── */
+// One JSON file per record under DATA_DIR/history, so a request only ever
+// writes its own record. Records are loaded once and kept in memory for the
+// queries; a legacy DATA_DIR/history.json is split into files on first load.
+let loading = null;
+const writes = new Map(); // record id → its last queued write
+
+const recordPath = (id) => path.join(HISTORY_DIR, `${id}.json`);
+
+async function writeRecord(id, json) {
+  // Write-then-rename so a crash never leaves a half-written file
+  const tempPath = `${recordPath(id)}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, json);
+  await fs.promises.rename(tempPath, recordPath(id));
+}
+
+async function loadRecords() {
+  await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+  const records = new Map();
+  for (const name of await fs.promises.readdir(HISTORY_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const record = JSON.parse(await fs.promises.readFile(path.join(HISTORY_DIR, name), 'utf8'));
+      records.set(record.id, record);
+    } catch (error) {
+      console.error(`Skipping unreadable history record ${name}:`, error.message);
+    }
+  }
+
+  if (fs.existsSync(LEGACY_PATH)) {
+    const legacy = JSON.parse(await fs.promises.readFile(LEGACY_PATH, 'utf8'));
+    for (const record of Object.values(legacy)) {
+      if (records.has(record.id)) continue;
+      await writeRecord(record.id, JSON.stringify(record));
+      records.set(record.id, record);
+    }
+    await fs.promises.rm(LEGACY_PATH);
+  }
+  return records;
+}
+
+function readStore() {
+  loading ??= loadRecords().catch((error) => {
+    loading = null;
+    throw error;
+  });
+  return loading;
+}
+
+async function saveRecord(record) {
+  const records = await readStore();
+  records.set(record.id, record);
+
+  // Writes of the same record are chained so an earlier snapshot never lands last
+  const json = JSON.stringify(record);
+  const write = (writes.get(record.id) ?? Promise.resolve())
+    .catch(() => {})
+    .then(() => writeRecord(record.id, json));
+  writes.set(record.id, write);
+  try {
+    await write;
+  } finally {
+    if (writes.get(record.id) === write) writes.delete(record.id);
+  }
+
+  if (records.size > HISTORY_LIMIT) {
+    const oldest = [...records.values()]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, records.size - HISTORY_LIMIT);
+    for (const { id } of oldest) {
+      records.delete(id);
+      await fs.promises.rm(recordPath(id), { force: true });
+    }
+  }
+}
+
+/* ──── Cost estimates ───── */
+// USD list prices when this was written: chat models per million tokens,
+// image and video models per output, other Replicate models per run.
+// MODEL_PRICES_FILE may point at a JSON file of the same shape that updates
+// or extends them. Names match by prefix, with or without the vendor
+// ("openai/gpt-4.1-mini" → gpt-4.1-mini).
+const DEFAULT_PRICES = {
+  'gpt-4.1':          { input: 2,    output: 8 },
+  'gpt-4.1-mini':     { input: 0.4,  output: 1.6 },
+  'gpt-4.1-nano':     { input: 0.1,  output: 0.4 },
+  'gpt-4o':           { input: 2.5,  output: 10 },
+  'deepseek-r1-0528': { input: 0.55, output: 2.19 },
+  'gemini-2.5-flash': { input: 0.3,  output: 2.5 },
+  'gpt-image-1':      { each: 0.25 }, // high quality, 1536x1024
+  'ideogram-v3':      { each: 0.09 }, // QUALITY rendering
+  'imagen-4-fast':    { each: 0.02 },
+  'imagen-4-ultra':   { each: 0.06 },
+  'flux-kontext-dev': { each: 0.025 },
+  'seedance-1-pro':   { each: 0.75 }, // 5 s at 1080p
+  'real-esrgan':      { run: 0.002 },
+  'remove-bg':        { run: 0.001 },
+};
+
+let prices = null;
+function modelPrices() {
+  if (!prices) {
+    prices = { ...DEFAULT_PRICES };
+    const file = process.env.MODEL_PRICES_FILE;
+    if (file) Object.assign(prices, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return prices;
+}
+
+// The longest price key the model name starts with; Replicate version hashes are ignored
+function priceOf(model) {
+  if (!model) return null;
+  const name = model.toLowerCase().split(':')[0];
+  const names = [name, name.split('/').pop()];
+  const key = Object.keys(modelPrices())
+    .filter((candidate) => names.some((entry) => entry.startsWith(candidate)))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? modelPrices()[key] : null;
+}
+
+// USD for one call, 0 for mocks, null when the model or its usage is unknown
+function estimateCost(call) {
+  if (call.provider.startsWith('mock:')) return 0;
+  const price = priceOf(call.model);
+  if (!price) return null;
+  if (price.input !== undefined) {
+    if (!call.usage) return null;
+    return (call.usage.inputTokens * price.input + call.usage.outputTokens * price.output) / 1e6;
+  }
+  if (price.each !== undefined) return price.each * (call.outputs ?? 1);
+  return price.run ?? null;
+}
+
+function totalCost(calls) {
+  const billed = calls.filter((call) => !call.error);
+  return {
+    usd: Number(billed.reduce((sum, call) => sum + (call.cost || 0), 0).toFixed(4)),
+    estimated: true,
+    unpriced: [...new Set(billed.filter((call) => call.cost === null).map((call) => call.model))],
+  };
+}
+
+/* ──── Payloads ───── */
+// Long data URLs and base64 strings in prompts and responses become a size note
+function compact(value) {
+  if (typeof value === 'string') {
+    if (value.length <= INLINE_LIMIT) return value;
+    const dataUrl = value.match(DATA_URL);
+    if (dataUrl) return `[${dataUrl[1]} data URL, ${Math.round(value.length / 1024)} KB]`;
+    return BASE64.test(value) ? `[base64, ${Math.round(value.length / 1024)} KB]` : value;
+  }
+  if (Array.isArray(value)) return value.map(compact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, compact(entry)]));
+  }
+  return value;
+}
+
+// Inline images in a request body are saved as assets and referenced as
+// { $asset, encoding } so the body can be rebuilt byte for byte
+async function storeInputs(value) {
+  if (typeof value === 'string' && value.length > INLINE_LIMIT) {
+    const dataUrl = value.match(DATA_URL);
+    if (dataUrl || BASE64.test(value)) {
+      const encoded = dataUrl ? value.slice(dataUrl[0].length) : value;
+      const asset = await saveAsset(Buffer.from(encoded, 'base64'), {
+        route: 'history-input', ...(dataUrl && { mimeType: dataUrl[1] }),
+      });
+      return { $asset: asset.id, encoding: dataUrl ? 'data-url' : 'base64' };
+    }
+    return value;
+  }
+  if (Array.isArray(value)) return Promise.all(value.map(storeInputs));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(await Promise.all(
+      Object.entries(value).map(async ([key, entry]) => [key, await storeInputs(entry)]),
+    ));
+  }
+  return value;
+}
+
+async function restoreInputs(value) {
+  if (Array.isArray(value)) return Promise.all(value.map(restoreInputs));
+  if (value && typeof value === 'object') {
+    if (typeof value.$asset === 'string') {
+      const asset = await readAsset(value.$asset);
+      if (!asset) throw new HistoryError(`Input asset ${value.$asset} of this record was deleted`, 409);
+      const encoded = asset.buffer.toString('base64');
+      return value.encoding === 'data-url' ? `data:${asset.record.mimeType};base64,${encoded}` : encoded;
+    }
+    return Object.fromEntries(await Promise.all(
+      Object.entries(value).map(async ([key, entry]) => [key, await restoreInputs(entry)]),
+    ));
+  }
+  return value;
+}
+
+// Asset ids anywhere in a response: `assetId` fields and our own asset URLs
+function collectAssetIds(value, ids = new Set()) {
+  if (typeof value === 'string') {
+    const id = parseAssetUrl(value);
+    if (id) ids.add(id);
+  } else if (Array.isArray(value)) {
+    value.forEach((entry) => collectAssetIds(entry, ids));
+  } else if (value && typeof value === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      if (key === 'assetId' && typeof entry === 'string') ids.add(entry);
+      else collectAssetIds(entry, ids);
+    }
+  }
+  return ids;
+}
+
+/* ──── Recording ───── */
+const historyStore = new AsyncLocalStorage();
+const streamResults = new WeakMap(); // record → { payload, error } of a streamed reply
+
+/**
+ * Called by the provider layer after every adapter call. Outside a recorded
+ * request it does nothing.
+ *
+ * @param {object} call { provider, capability, request, result?, error?, durationMs }
+ */
+export function recordProviderCall({ provider, capability, request, result = null, error = null, durationMs }) {
+  const record = historyStore.getStore();
+  if (!record) return;
+
+  const images = Array.isArray(result) ? result : result ? [result] : [];
+  const chat = capability === 'chat' || capability === 'chatStream';
+  const call = {
+    provider,
+    capability,
+    task:  request.task ?? null,
+    model: result?.model || images[0]?.model || request.model || provider,
+    ...(chat
+      ? {
+        messages:    compact(request.messages),
+        temperature: request.temperature ?? null,
+        output:      result?.content ?? null,
+        usage:       result?.usage ?? null,
+      }
+      : {
+        prompt:        request.prompt ?? null,
+        ...(request.size && { size: request.size }),
+        ...(request.aspectRatio && { aspectRatio: request.aspectRatio }),
+        ...(request.options && { options: compact(request.options) }),
+        outputs:       images.length,
+        seeds:         images.map((image) => image.seed).filter((seed) => seed !== null && seed !== undefined),
+        predictionIds: images.map((image) => image.predictionId).filter(Boolean),
+      }),
+    durationMs,
+    ...(error && { error: error.message }),
+  };
+  call.cost = error ? null : estimateCost(call);
+  record.calls.push(call);
+}
+
+function complete(record, status, body, error = null) {
+  record.status = status;
+  record.finishedAt = new Date().toISOString();
+  record.durationMs = Date.parse(record.finishedAt) - Date.parse(record.createdAt);
+  record.outputs = body === null || body === undefined
+    ? null
+    : { assetIds: [...collectAssetIds(body)], response: compact(body) };
+  record.error = error ?? (status === 'failed' ? body?.error ?? null : null);
+  record.cost = totalCost(record.calls);
+  return saveRecord(record);
+}
+
+// A request answered with 202 is finished by its job; calls made inside the
+// job still land in the record because the job inherits the request context
+function completeWithJob(record, jobId) {
+  record.jobId = jobId;
+  const saved = saveRecord(record);
+
+  const finish = (job) => complete(record, job.status, job.result, job.error)
+    .catch((error) => console.error(`Failed to save history record ${record.id}:`, error));
+  const unsubscribe = subscribeJob(jobId, (event, job) => {
+    if (event !== 'done') return;
+    unsubscribe?.();
+    finish(job);
+  });
+  const job = getJob(jobId);
+  if (job && ['succeeded', 'failed', 'canceled'].includes(job.status)) {
+    unsubscribe?.();
+    finish(job);
+  }
+  return saved;
+}
+
+/**
+ * Called by respondWithStream with the `done` payload, or with the error it
+ * streamed instead. Streamed replies never pass through res.json, so this is
+ * how their record gets its outputs.
+ */
+export function recordStreamResult(payload, error = null) {
+  const record = historyStore.getStore();
+  if (record) streamResults.set(record, { payload, error });
+}
+
+/**
+ * Express middleware that records the generation it runs in front of. The
+ * record id is sent as `X-History-Id`; the record is saved as `running` right
+ * away and completed once the response – or the background job it started –
+ * has finished.
+ */
+export function recordHistory(req, res, next) {
+  const record = {
+    id:              crypto.randomUUID(),
+    route:           req.route.path,
+    path:            req.url,
+    status:          'running',
+    createdAt:       new Date().toISOString(),
+    finishedAt:      null,
+    durationMs:      null,
+    regeneratedFrom: req.regeneratedFrom?.id ?? null,
+    overrides:       req.regeneratedFrom?.overrides ?? null,
+    inputs:          null,
+    calls:           [],
+    outputs:         null,
+    jobId:           null,
+    cost:            null,
+    error:           null,
+  };
+
+  let body = null;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  let done = false;
+  const save = () => {
+    if (done) return;
+    done = true;
+    const streamed = streamResults.get(record);
+    // Closed before the response was written: the client went away mid-stream
+    const status = !res.writableFinished ? 'canceled'
+      : res.statusCode >= 400 || streamed?.error ? 'failed' : 'succeeded';
+    const saved = res.statusCode === 202 && body?.jobId
+      ? completeWithJob(record, body.jobId)
+      : complete(record, status, streamed ? streamed.payload : body, streamed?.error);
+    saved.catch((error) => console.error(`Failed to save history record ${record.id}:`, error));
+  };
+
+  storeInputs(req.body ?? {})
+    .then(async (inputs) => {
+      record.inputs = inputs;
+      await saveRecord(record);
+      res.set('X-History-Id', record.id);
+      res.once('finish', save);
+      res.once('close', save);
+    })
+    // A history failure never fails the generation itself
+    .catch((error) => console.error(`Failed to record history for ${req.url}:`, error))
+    .finally(() => historyStore.run(record, next));
+}
+
+/* ──── Queries ───── */
+function summary(record) {
+  return {
+    id:              record.id,
+    route:           record.route,
+    path:            record.path,
+    status:          record.status,
+    createdAt:       record.createdAt,
+    durationMs:      record.durationMs,
+    models:          [...new Set(record.calls.filter((call) => !call.error).map((call) => call.model))],
+    assetIds:        record.outputs?.assetIds ?? [],
+    cost:            record.cost,
+    brandKitId:      record.inputs?.brandKitId ?? null,
+    regeneratedFrom: record.regeneratedFrom,
+    jobId:           record.jobId,
+    error:           record.error,
+  };
+}
+
+/**
+ * List history records, newest first, as summaries.
+ * Filters: route (e.g. /api/generate-final), status, brandKitId,
+ * regeneratedFrom, model, q (matches the request body), from / to (ISO dates),
+ * limit (default 50, max 200), offset.
+ */
+export async function listHistory(filters = {}) {
+  const limit  = Math.min(Number(filters.limit) || 50, 200);
+  const offset = Number(filters.offset) || 0;
+  const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+  const matches = [...(await readStore()).values()]
+    .filter((record) => !filters.route || record.route === filters.route)
+    .filter((record) => !filters.status || record.status === filters.status)
+    .filter((record) => !filters.brandKitId || record.inputs?.brandKitId === filters.brandKitId)
+    .filter((record) => !filters.regeneratedFrom || record.regeneratedFrom === filters.regeneratedFrom)
+    .filter((record) => !filters.model || record.calls.some((call) => call.model === filters.model))
+    .filter((record) => !filters.from || record.createdAt >= filters.from)
+    .filter((record) => !filters.to || record.createdAt <= filters.to)
+    .filter((record) => !q || JSON.stringify(record.inputs ?? {}).toLowerCase().includes(q))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total:   matches.length,
+    limit,
+    offset,
+    records: matches.slice(offset, offset + limit).map(summary),
+  };
+}
+
+export async function getHistory(id) {
+  return (await readStore()).get(id) ?? null;
+}
+
+/* ──── Regeneration ───── */
+// Top-level request fields to replace; null removes a field (e.g. `qr: null`)
+const RegenerateRequest = z.object({
+  overrides: z.record(z.string(), z.unknown()).default({}),
+});
+
+export function parseRegenerateRequest(body) {
+  const parsed = RegenerateRequest.safeParse(body ?? {});
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new HistoryError(`Invalid regenerate request – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * The request body that replays `record`: its inputs with inline images
+ * restored and `overrides` applied on top.
+ */
+export async function replayBody(record, overrides = {}) {
+  const body = { ...await restoreInputs(record.inputs), ...overrides };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) delete body[key];
+  }
+  return body;
+}
@@ -0,0 +1,187 @@
+/* ───────────────────────────── Async job store ── */
+// Long-running generations (Replicate predictions, image pipelines) can run as
+// background jobs so the HTTP request returns immediately with a job id.
+// Jobs live in memory for the lifetime of the process, so any tab can poll
+// them, and are swept once JOB_TTL_MS has passed since they finished.
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000; // 1 h
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+
+export class JobCanceledError extends Error {
+  constructor(message = 'Job was canceled') {
+    super(message);
+    this.name = 'JobCanceledError';
+  }
+}
+
+/* ─────────────────────────── Job context ── */
+// Every long-running helper receives a context with the same shape, whether it
+// runs inside a job or inline in a request:
+//   signal           – AbortSignal, aborted when the job is canceled
+//   progress(msg, d) – report a progress step (streamed to SSE listeners)
+//   onCancel(fn)     – register cleanup, e.g. canceling a Replicate prediction
+//   throwIfCanceled()
+function makeContext(signal, progress, onCancel) {
+  return {
+    signal,
+    progress,
+    onCancel,
+    throwIfCanceled() {
+      if (signal.aborted) throw new JobCanceledError();
+    },
+  };
+}
+
+export function inlineContext() {
+  return makeContext(new AbortController().signal, () => {}, () => {});
+}
+
+/* ─────────────────────────── Public view ── */
+function toJSON(job) {
+  return {
+    id:        job.id,
+    kind:      job.kind,
+    status:    job.status,
+    progress:  job.progress,
+    result:    job.result,
+    error:     job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    expiresAt: job.expiresAt,
+  };
+}
+
+function touch(job, event) {
+  job.updatedAt = new Date().toISOString();
+  if (isFinished(job)) {
+    job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+  }
+  job.events.emit('update', event, toJSON(job));
+}
+
+function isFinished(job) {
+  return ['succeeded', 'failed', 'canceled'].includes(job.status);
+}
+
+/* ─────────────────────────── Lifecycle ── */
+export function createJob(kind, work) {
+  const now = new Date().toISOString();
+  const controller = new AbortController();
+  const cancelHooks = [];
+
+  const job = {
+    id:        crypto.randomUUID(),
+    kind,
+    status:    'queued',
+    progress:  [],
+    result:    null,
+    error:     null,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: null,
+    events:    new EventEmitter(),
+    controller,
+    cancelHooks,
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+
+  const ctx = makeContext(
+    controller.signal,
+    (message, data = {}) => {
+      if (isFinished(job)) return;
+      job.progress.push({ message, ...data, at: new Date().toISOString() });
+      touch(job, 'progress');
+    },
+    (fn) => cancelHooks.push(fn),
+  );
+
+  setImmediate(async () => {
+    if (isFinished(job)) return;
+    job.status = 'running';
+    touch(job, 'status');
+    try {
+      const result = await work(ctx);
+      if (isFinished(job)) return;
+      job.status = 'succeeded';
+      job.result = result;
+      touch(job, 'done');
+    } catch (error) {
+      if (isFinished(job)) return;
+      console.error(`Job ${job.id} (${kind}) failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      touch(job, 'done');
+    }
+  });
+
+  return toJSON(job);
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toJSON(job) : null;
+}
+
+export async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isFinished(job)) return toJSON(job);
+
+  job.controller.abort();
+  job.status = 'canceled';
+  job.error = 'Canceled by client';
+
+  // Best effort: upstream cancellation must not block the response
+  await Promise.allSettled(job.cancelHooks.map((fn) => fn()));
+  touch(job, 'done');
+  return toJSON(job);
+}
+
+/* Subscribe to updates; returns an unsubscribe function. */
+export function subscribeJob(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  job.events.on('update', listener);
+  return () => job.events.off('update', listener);
+}
+
+/* ─────────────────────────── Request helpers ── */
+export function wantsAsync(req) {
+  const flag = req.body?.async ?? req.query?.async;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+// Runs `work` inline or as a background job depending on the request.
+// Inline: resolves with the result and sends it as JSON.
+// Async:  replies 202 with the job id and status/event URLs.
+// `alwaysAsync` is for work too long for one HTTP request, whatever was asked.
+export async function respondWithJob(req, res, kind, work, { alwaysAsync = false } = {}) {
+  if (!alwaysAsync && !wantsAsync(req)) {
+    return res.json(await work(inlineContext()));
+  }
+
+  const job = createJob(kind, work);
+  res.status(202).json({
+    jobId:     job.id,
+    status:    job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+  });
+}
+
+/* ─────────────────────────── Expiry sweep ── */
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+      job.events.removeAllListeners();
+      jobs.delete(id);
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref();
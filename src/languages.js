@@ -0,0 +1,114 @@
+/* ───────────────────────────── Output languages ── */
+// Text routes take `language` (default English) and an optional
+// `secondaryLanguage` for bilingual output. The language decides the prompt
+// instruction and which writing systems may appear in the answer: models
+// occasionally drift into another script (Cyrillic and Chinese are the usual
+// suspects), so letters from any other script are filtered out. Latin is
+// always allowed (URLs, names), as are Greek and Hebrew for biblical terms.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// code → name, native name, scripts it is written in, Bible translation to quote,
+// and `rtl` for right-to-left layouts
+export const LANGUAGES = {
+  en: { name: 'English',        native: 'English',          scripts: ['Latin'] },
+  es: { name: 'Spanish',        native: 'español',          scripts: ['Latin'], bible: 'Reina-Valera 1960' },
+  pt: { name: 'Portuguese',     native: 'português',        scripts: ['Latin'], bible: 'Almeida Revista e Corrigida' },
+  fr: { name: 'French',         native: 'français',         scripts: ['Latin'], bible: 'Louis Segond' },
+  ht: { name: 'Haitian Creole', native: 'kreyòl ayisyen',   scripts: ['Latin'], bible: 'Bib la' },
+  tl: { name: 'Tagalog',        native: 'Tagalog',          scripts: ['Latin'], bible: 'Ang Dating Biblia' },
+  vi: { name: 'Vietnamese',     native: 'Tiếng Việt',       scripts: ['Latin'], bible: 'Kinh Thánh Bản Truyền Thống' },
+  de: { name: 'German',         native: 'Deutsch',          scripts: ['Latin'], bible: 'Luther 2017' },
+  ko: { name: 'Korean',         native: '한국어',              scripts: ['Hangul', 'Han'], bible: '개역개정' },
+  zh: { name: 'Chinese',        native: '中文',               scripts: ['Han'], bible: '和合本 (Chinese Union Version)' },
+  ja: { name: 'Japanese',       native: '日本語',              scripts: ['Hiragana', 'Katakana', 'Han'], bible: '新改訳2017' },
+  ru: { name: 'Russian',        native: 'русский',          scripts: ['Cyrillic'], bible: 'Синодальный перевод' },
+  uk: { name: 'Ukrainian',      native: 'українська',       scripts: ['Cyrillic'], bible: 'Огієнко' },
+  ar: { name: 'Arabic',         native: 'العربية',          scripts: ['Arabic'], bible: 'Van Dyck', rtl: true },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+const ALWAYS_ALLOWED_SCRIPTS = ['Latin', 'Greek', 'Hebrew', 'Common', 'Inherited'];
+
+export class LanguageError extends Error {
+  constructor(message, suggestions = []) {
+    super(message);
+    this.name = 'LanguageError';
+    this.status = 400;
+    this.suggestions = suggestions;
+  }
+}
+
+/* ──── Lookup ───── */
+const normalize = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+
+// Accepts a code ("es", "pt-BR") or a name in English or the language itself
+export function resolveLanguage(input) {
+  if (input === undefined || input === null || input === '') return null;
+  const wanted = normalize(String(input));
+  const code = wanted.split(/[-_]/)[0];
+  const match = LANGUAGES[code] ? code : LANGUAGE_CODES.find((candidate) =>
+    normalize(LANGUAGES[candidate].name) === wanted || normalize(LANGUAGES[candidate].native) === wanted);
+
+  if (!match) {
+    throw new LanguageError(
+      `Unsupported language "${input}" – use one of: ${LANGUAGE_CODES.join(', ')}`,
+      LANGUAGE_CODES.map((candidate) => `${candidate} (${LANGUAGES[candidate].name})`),
+    );
+  }
+  return { code: match, ...LANGUAGES[match] };
+}
+
+/**
+ * Reads `language` and `secondaryLanguage` from a request body.
+ * Returns `{ primary, secondary }`; `secondary` is null for single-language output.
+ */
+export function parseLanguages({ language, secondaryLanguage } = {}) {
+  const primary = resolveLanguage(language) || resolveLanguage(DEFAULT_LANGUAGE);
+  const secondary = resolveLanguage(secondaryLanguage);
+  if (secondary?.code === primary.code) {
+    throw new LanguageError('secondaryLanguage must differ from language');
+  }
+  return { primary, secondary };
+}
+
+export const DEFAULT_LANGUAGES = parseLanguages();
+
+// For response payloads
+export function describeLanguages({ primary, secondary }) {
+  return { language: primary.code, secondaryLanguage: secondary?.code ?? null };
+}
+
+/* ──── Prompt fragments ───── */
+const label = (language) => (language.native === language.name ? language.name : `${language.name} (${language.native})`);
+
+/**
+ * The language instruction for a system prompt. English-only output keeps the
+ * original "US English only" wording.
+ */
+export function languagePrompt({ primary, secondary }) {
+  const bibles = [primary, secondary].filter((language) => language?.bible);
+  const quoting = bibles.length
+    ? ` Quote Scripture in ${bibles.map((language) => `${language.name} from the ${language.bible}`).join(' and in ')}, not by translating English verse text.`
+    : '';
+
+  if (secondary) {
+    return `Write bilingual content: every heading, paragraph, list item and text field first in ${label(primary)}, immediately followed by the same content in ${label(secondary)}. Both versions must read as if written natively, not as literal translations. No other languages or alphabets.${quoting}`;
+  }
+  if (primary.code === DEFAULT_LANGUAGE) return 'US English only, no other alphabets.';
+  return `Write in ${label(primary)} only, as a native speaker would – not a translation from English. No other languages or alphabets.${quoting}`;
+}
+
+/* ──── Script filter ───── */
+/**
+ * Returns `filter(text)` that removes letters (and their combining marks)
+ * from scripts the requested languages don't use. Each character is judged on
+ * its own, so the filter is safe to apply chunk by chunk to a stream.
+ */
+export function scriptFilter({ primary, secondary }) {
+  const scripts = new Set([...primary.scripts, ...(secondary?.scripts ?? []), ...ALWAYS_ALLOWED_SCRIPTS]);
+  const allowed = [...scripts].map((script) => `\\p{Script=${script}}`).join('');
+  const foreign = new RegExp(`(?![${allowed}])[\\p{L}\\p{M}]`, 'gu');
+  return (text) => text.replace(foreign, '');
+}
@@ -0,0 +1,181 @@
+/* ───────────────────────────── Structured sermon outlines ── */
+// The structured outline mode asks the model for JSON in this shape instead of
+// free-form Markdown, so clients can render points, scripture and
+// illustrations separately. The same structure exports to DOCX and PDF for
+// pastors who preach from printed notes.
+
+import { z } from 'zod';
+import {
+  Document, Packer, Paragraph, TextRun, HeadingLevel,
+} from 'docx';
+import PDFDocument from 'pdfkit';
+
+// Models sometimes answer a single reference as a plain string
+const ScriptureRefs = z.preprocess(
+  (value) => (typeof value === 'string' ? [value] : value),
+  z.array(z.string().min(1)),
+);
+
+const MainPoint = z.object({
+  heading:      z.string().min(1),
+  scripture:    ScriptureRefs,
+  explanation:  z.string().min(1),
+  illustration: z.string().min(1),
+  application:  z.string().min(1),
+});
+
+export const SermonOutline = z.object({
+  title:        z.string().min(1),
+  bigIdea:      z.string().min(1),
+  introduction: z.string().min(1),
+  mainPoints:   z.array(MainPoint).min(2).max(6)
+    .transform((points) => points.map((point, index) => ({ number: index + 1, ...point }))),
+  conclusion:   z.string().min(1),
+  invitation:   z.string().min(1),
+});
+
+// Appended to the system prompt in structured mode
+export const OUTLINE_JSON_SHAPE = `Return valid JSON only. Shape:
+{
+  "title": string,
+  "bigIdea": string (one sentence),
+  "introduction": string,
+  "mainPoints": [ (3-4 items)
+    { "heading": string, "scripture": string[] (e.g. "John 3:16"), "explanation": string, "illustration": string, "application": string }
+  ],
+  "conclusion": string,
+  "invitation": string
+}`;
+
+export const OUTLINE_MIME_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf:  'application/pdf',
+};
+
+export const OUTLINE_EXPORT_FORMATS = Object.keys(OUTLINE_MIME_TYPES);
+
+export class OutlineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutlineError';
+    this.status = 400;
+  }
+}
+
+// Validates an outline from a model or a client; the error lists every issue
+export function parseOutline(value) {
+  const parsed = SermonOutline.safeParse(value);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'outline'}: ${issue.message}`);
+    throw new OutlineError(`Invalid sermon outline – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ─────────────────────────── Markdown ── */
+// Keeps the `outline` field of /api/flavor Markdown in structured mode too
+export function outlineToMarkdown(outline) {
+  const points = outline.mainPoints.map((point) => [
+    `## ${point.number}. ${point.heading}`,
+    point.scripture.length ? `*${point.scripture.join('; ')}*` : null,
+    point.explanation,
+    `**Illustration:** ${point.illustration}`,
+    `**Application:** ${point.application}`,
+  ].filter(Boolean).join('\n\n'));
+
+  return [
+    `# ${outline.title}`,
+    `**Big Idea:** ${outline.bigIdea}`,
+    `## Introduction\n\n${outline.introduction}`,
+    ...points,
+    `## Conclusion\n\n${outline.conclusion}`,
+    `## Invitation\n\n${outline.invitation}`,
+  ].join('\n\n') + '\n';
+}
+
+/* ─────────────────────────── DOCX ── */
+function labelled(label, text) {
+  return new Paragraph({
+    spacing: { after: 120 },
+    children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(text)],
+  });
+}
+
+function body(text) {
+  return new Paragraph({ text, spacing: { after: 160 } });
+}
+
+export async function outlineToDocx(outline) {
+  const section = (title, text) => [new Paragraph({ text: title, heading: HeadingLevel.HEADING_2 }), body(text)];
+
+  const children = [
+    new Paragraph({ text: outline.title, heading: HeadingLevel.TITLE }),
+    labelled('Big Idea', outline.bigIdea),
+    ...section('Introduction', outline.introduction),
+    ...outline.mainPoints.flatMap((point) => [
+      new Paragraph({ text: `${point.number}. ${point.heading}`, heading: HeadingLevel.HEADING_2 }),
+      ...(point.scripture.length
+        ? [new Paragraph({ spacing: { after: 120 }, children: [new TextRun({ text: point.scripture.join('; '), italics: true })] })]
+        : []),
+      body(point.explanation),
+      labelled('Illustration', point.illustration),
+      labelled('Application', point.application),
+    ]),
+    ...section('Conclusion', outline.conclusion),
+    ...section('Invitation', outline.invitation),
+  ];
+
+  const document = new Document({
+    title:    outline.title,
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(document);
+}
+
+/* ─────────────────────────── PDF ── */
+export function outlineToPdf(outline) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 72, info: { Title: outline.title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = (text) => doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).text(text).moveDown(0.3);
+    const paragraph = (text) => doc.font('Helvetica').fontSize(11).text(text, { lineGap: 2 }).moveDown(0.5);
+    const labelledText = (label, text) => doc
+      .font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true, lineGap: 2 })
+      .font('Helvetica').text(text)
+      .moveDown(0.5);
+
+    doc.font('Helvetica-Bold').fontSize(22).text(outline.title).moveDown(0.5);
+    labelledText('Big Idea', outline.bigIdea);
+
+    heading('Introduction');
+    paragraph(outline.introduction);
+
+    for (const point of outline.mainPoints) {
+      heading(`${point.number}. ${point.heading}`);
+      if (point.scripture.length) {
+        doc.font('Helvetica-Oblique').fontSize(11).text(point.scripture.join('; ')).moveDown(0.3);
+      }
+      paragraph(point.explanation);
+      labelledText('Illustration', point.illustration);
+      labelledText('Application', point.application);
+    }
+
+    heading('Conclusion');
+    paragraph(outline.conclusion);
+    heading('Invitation');
+    paragraph(outline.invitation);
+
+    doc.end();
+  });
+}
+
+export async function renderOutline(outline, format) {
+  if (!OUTLINE_EXPORT_FORMATS.includes(format)) {
+    throw new OutlineError(`format must be one of: ${OUTLINE_EXPORT_FORMATS.join(', ')}`);
+  }
+  return format === 'docx' ? outlineToDocx(outline) : outlineToPdf(outline);
+}
@@ -0,0 +1,208 @@
+/* ───────────────────────────── Print export ── */
+// Lays a finished poster out as a print-ready PDF: upscaled to the page at
+// 300 DPI, extended past the trim by the bleed, with crop marks in the slug
+// around it. The crop / extend rules are the renditions' (exporter.js), so
+// typography stays inside the safety margin whatever the page shape.
+
+import sharp from 'sharp';
+import PDFDocument from 'pdfkit';
+import { z } from 'zod';
+import { fitPoster } from './exporter.js';
+
+// Trim sizes in inches, portrait
+export const PRINT_SIZES = {
+  'letter':     { width: 8.5,  height: 11, label: 'Letter (8.5x11")' },
+  'tabloid':    { width: 11,   height: 17, label: 'Tabloid (11x17")' },
+  '18x24':      { width: 18,   height: 24, label: 'Poster (18x24")' },
+  '24x36':      { width: 24,   height: 36, label: 'Poster (24x36")' },
+  'half-sheet': { width: 5.5,  height: 8.5, label: 'Bulletin half-sheet (5.5x8.5")' },
+};
+
+export const UPSCALERS = ['auto', 'replicate', 'local'];
+
+const POINTS_PER_INCH = 72;
+const SAFETY      = 0.25;   // inches inside the trim kept clear for typography
+const MARK_GAP    = 0.0625; // between the bleed edge and a crop mark
+const MARK_LENGTH = 0.25;
+const MAX_MODEL_SCALE = 4;  // the Replicate upscaler's largest factor
+
+export const PrintOptions = z.object({
+  size:        z.enum(Object.keys(PRINT_SIZES)).default('tabloid'),
+  orientation: z.enum(['auto', 'portrait', 'landscape']).default('auto'), // auto: the poster's own
+  dpi:         z.number().int().min(150).max(600).default(300),
+  bleed:       z.number().min(0).max(0.5).default(0.125), // inches on every side
+  cropMarks:   z.boolean().default(true),
+  upscaler:    z.enum(UPSCALERS).default('auto'),
+  mode:        z.enum(['auto', 'crop', 'extend']).default('auto'),
+  safeZone: z.object({
+    left: z.number(), top: z.number(), width: z.number(), height: z.number(),
+  }).optional(),
+});
+
+export class PrintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PrintError';
+    this.status = 400;
+  }
+}
+
+export function parsePrintOptions(body) {
+  const parsed = PrintOptions.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new PrintError(`Invalid print options – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Geometry ───── */
+/**
+ * Page geometry in inches for a poster of `posterWidth` x `posterHeight`
+ * pixels: trim, bleed box, page (bleed plus slug for crop marks) and the pixel
+ * size the artwork is rendered at.
+ */
+export function printLayout(options, posterWidth, posterHeight) {
+  const size = PRINT_SIZES[options.size];
+  const landscape = options.orientation === 'landscape'
+    || (options.orientation === 'auto' && posterWidth > posterHeight);
+  const trim = landscape
+    ? { width: size.height, height: size.width }
+    : { width: size.width, height: size.height };
+  const slug = options.cropMarks ? MARK_GAP + MARK_LENGTH : 0;
+  const bleedBox = { width: trim.width + 2 * options.bleed, height: trim.height + 2 * options.bleed };
+
+  return {
+    orientation: landscape ? 'landscape' : 'portrait',
+    trim,
+    bleed: options.bleed,
+    slug,
+    page: { width: bleedBox.width + 2 * slug, height: bleedBox.height + 2 * slug },
+    pixels: { width: Math.round(bleedBox.width * options.dpi), height: Math.round(bleedBox.height * options.dpi) },
+    // Typography stays inside the trim minus the safety margin
+    inset: { x: (options.bleed + SAFETY) / bleedBox.width, y: (options.bleed + SAFETY) / bleedBox.height },
+  };
+}
+
+/* ──── Upscaling ───── */
+// `upscale(buffer, scale)` runs the model upscaler; 'auto' falls back to
+// sharp's Lanczos resize when it fails. Returns the buffer to lay out and
+// which upscaler produced it.
+async function upscalePoster(posterBuffer, factor, upscaler, upscale, ctx) {
+  if (factor <= 1 || upscaler === 'local' || !upscale) return { buffer: posterBuffer, upscaler: 'local' };
+
+  const scale = Math.min(MAX_MODEL_SCALE, Math.ceil(factor));
+  try {
+    ctx?.progress('Upscaling poster', { scale });
+    return { buffer: await upscale(posterBuffer, scale), upscaler: 'replicate' };
+  } catch (error) {
+    if (upscaler === 'replicate') throw error;
+    console.warn('Model upscale failed, resizing locally:', error.message);
+    return { buffer: posterBuffer, upscaler: 'local' };
+  }
+}
+
+/* ──── PDF ───── */
+function drawCropMarks(doc, layout) {
+  const pt = (inches) => inches * POINTS_PER_INCH;
+  const { trim, bleed, slug, page } = layout;
+  const left = slug + bleed;
+  const top = slug + bleed;
+  const xs = [left, left + trim.width];
+  const ys = [top, top + trim.height];
+  const reach = bleed + MARK_GAP; // marks start outside the bleed
+
+  doc.save().lineWidth(0.25).strokeColor('black');
+  for (const x of xs) {
+    doc.moveTo(pt(x), pt(top - reach)).lineTo(pt(x), pt(top - reach - MARK_LENGTH)).stroke();
+    doc.moveTo(pt(x), pt(ys[1] + reach)).lineTo(pt(x), pt(Math.min(page.height, ys[1] + reach + MARK_LENGTH))).stroke();
+  }
+  for (const y of ys) {
+    doc.moveTo(pt(left - reach), pt(y)).lineTo(pt(left - reach - MARK_LENGTH), pt(y)).stroke();
+    doc.moveTo(pt(xs[1] + reach), pt(y)).lineTo(pt(Math.min(page.width, xs[1] + reach + MARK_LENGTH)), pt(y)).stroke();
+  }
+  doc.restore();
+}
+
+function writePdf(artwork, layout, title) {
+  const pt = (inches) => inches * POINTS_PER_INCH;
+  const box = (inset) => [pt(inset), pt(inset), pt(layout.page.width - inset), pt(layout.page.height - inset)];
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [pt(layout.page.width), pt(layout.page.height)],
+      margin: 0,
+      info: { Title: title },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Print shops and imposition software read these boxes
+    doc.page.dictionary.data.BleedBox = box(layout.slug);
+    doc.page.dictionary.data.TrimBox = box(layout.slug + layout.bleed);
+
+    doc.image(artwork, pt(layout.slug), pt(layout.slug), {
+      width: pt(layout.trim.width + 2 * layout.bleed),
+      height: pt(layout.trim.height + 2 * layout.bleed),
+    });
+    if (layout.slug > 0) drawCropMarks(doc, layout);
+    doc.end();
+  });
+}
+
+/**
+ * Render a poster as a print-ready PDF.
+ *
+ * @param {Buffer} posterBuffer
+ * @param {object} options     Parsed PrintOptions.
+ * @param {object} [deps]
+ * @param {Function} [deps.upscale] (buffer, scale) → Promise<Buffer>, the model upscaler.
+ * @param {object}   [deps.ctx]     Job context for progress.
+ * @param {string}   [deps.title]   PDF title.
+ * @returns {Promise<{ buffer: Buffer, meta: object }>}
+ */
+export async function posterToPrintPdf(posterBuffer, options, { upscale = null, ctx = null, title = 'Poster' } = {}) {
+  const poster = await sharp(posterBuffer).metadata();
+  const layout = printLayout(options, poster.width, poster.height);
+  const factor = Math.max(layout.pixels.width / poster.width, layout.pixels.height / poster.height);
+
+  const upscaled = await upscalePoster(posterBuffer, factor, options.upscaler, upscale, ctx);
+  const source = await sharp(upscaled.buffer).metadata();
+  const ratio = source.width / poster.width;
+  const safeZone = options.safeZone && {
+    left:   Math.round(options.safeZone.left * ratio),
+    top:    Math.round(options.safeZone.top * ratio),
+    width:  Math.round(options.safeZone.width * ratio),
+    height: Math.round(options.safeZone.height * ratio),
+  };
+
+  ctx?.progress('Laying out page', { size: options.size, pixels: layout.pixels });
+  const { image, meta } = await fitPoster(upscaled.buffer, { ...layout.pixels, inset: layout.inset }, {
+    safeZone, mode: options.mode,
+  });
+  const artwork = await image
+    .jpeg({ quality: 92, chromaSubsampling: '4:4:4' })
+    .withMetadata({ density: options.dpi })
+    .toBuffer();
+
+  ctx?.progress('Writing PDF');
+  const buffer = await writePdf(artwork, layout, title);
+  return {
+    buffer,
+    meta: {
+      size: options.size,
+      label: PRINT_SIZES[options.size].label,
+      orientation: layout.orientation,
+      trim: layout.trim,
+      bleed: layout.bleed,
+      cropMarks: options.cropMarks,
+      dpi: options.dpi,
+      pixels: layout.pixels,
+      sourceDpi: Math.round(Math.min(poster.width / layout.trim.width, poster.height / layout.trim.height)),
+      upscaler: upscaled.upscaler,
+      strategy: meta.strategy,
+    },
+  };
+}
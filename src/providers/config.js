@@ -0,0 +1,44 @@
+/* ───────────────────────────── Provider configuration ── */
+// All provider credentials and endpoints are read here, lazily, so nothing
+// else touches provider env vars directly.
+//
+// MOCK_PROVIDERS swaps adapters for the offline mock:
+//   MOCK_PROVIDERS=all                 – every provider
+//   MOCK_PROVIDERS=replicate,ideogram  – only the listed ones
+
+export function loadProviderConfig(env = process.env) {
+  return {
+    mockProviders: String(env.MOCK_PROVIDERS || '')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+    },
+    openrouter: {
+      apiKey:  env.OPENROUTER_API_KEY,
+      baseURL: env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+      defaultHeaders: {
+        'HTTP-Referer': 'https://usesaltcreative.com',
+        'X-Title':      'Salt Creative',
+      },
+    },
+    ideogram: {
+      apiKey:  env.IDEOGRAM_API_KEY,
+      baseURL: env.IDEOGRAM_BASE_URL || 'https://api.ideogram.ai',
+    },
+    replicate: {
+      apiToken: env.REPLICATE_API_TOKEN || env.REPLICATE_API_KEY,
+      baseURL:  env.REPLICATE_BASE_URL || 'https://api.replicate.com/v1',
+      // Callbacks instead of polling; the secret is Replicate's "whsec_…" signing secret
+      webhookSecret: env.REPLICATE_WEBHOOK_SECRET,
+      webhookUrl:    env.REPLICATE_WEBHOOK_URL
+        || (env.PUBLIC_BASE_URL && `${env.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/webhooks/replicate`),
+    },
+    cutoutpro: {
+      apiKey:  env.CUTOUT_PRO_API_KEY,
+      baseURL: env.CUTOUT_PRO_BASE_URL || 'https://www.cutout.pro/api/v1',
+    },
+  };
+}
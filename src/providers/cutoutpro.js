@@ -0,0 +1,37 @@
+/* ───────────────────────────── Cutout.Pro adapter ── */
+import axios    from 'axios';
+import FormData from 'form-data';
+
+export function createCutoutProAdapter({ apiKey, baseURL }) {
+  return {
+    name: 'cutoutpro',
+
+    // Pass imageUrl for public images, imageBuffer for anything Cutout.Pro can't fetch
+    async removeBackground({ imageUrl, imageBuffer, mattingType = 6 }) {
+      let response;
+      try {
+        if (imageBuffer) {
+          const form = new FormData();
+          form.append('file', imageBuffer, 'image.png');
+          response = await axios.post(`${baseURL}/matting2`, form, {
+            params: { mattingType },
+            headers: { ...form.getHeaders(), 'APIKEY': apiKey },
+          });
+        } else {
+          response = await axios.get(`${baseURL}/mattingByUrl`, {
+            params: { url: imageUrl, mattingType }, // 6 = general purpose background removal
+            headers: { 'APIKEY': apiKey },
+          });
+        }
+      } catch (error) {
+        // Surface Cutout.Pro's own message for HTTP errors
+        throw new Error(error.response?.data?.msg || error.message);
+      }
+
+      if (response.data && response.data.code === 0) {
+        return { buffer: Buffer.from(response.data.data.imageBase64, 'base64'), mimeType: 'image/png' };
+      }
+      throw new Error(`Cutout.Pro API Error: ${response.data?.msg || 'Unknown error from Cutout.Pro API'}`);
+    },
+  };
+}
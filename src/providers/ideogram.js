@@ -0,0 +1,35 @@
+/* ───────────────────────────── Ideogram adapter ── */
+import axios    from 'axios';
+import FormData from 'form-data';
+
+export function createIdeogramAdapter({ apiKey, baseURL }) {
+  return {
+    name: 'ideogram',
+
+    // options are passed through as Ideogram v3 form fields
+    async generateImage({ prompt, aspectRatio = '3x2', count = 4, options = {} }) {
+      const form = new FormData();
+      form.append('prompt', prompt);
+      form.append('aspect_ratio', aspectRatio);
+      form.append('num_images', String(count));
+      for (const [key, value] of Object.entries(options)) {
+        if (value === undefined) continue;
+        form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      }
+
+      const { data } = await axios.post(
+        `${baseURL}/v1/ideogram-v3/generate`,
+        form,
+        { headers: { ...form.getHeaders(), 'Api-Key': apiKey } },
+      );
+
+      return data.data.map((image) => ({
+        url:    image.url,
+        seed:   image.seed ?? null,
+        prompt: image.prompt,
+        model:  'ideogram-v3',
+        raw:    image,
+      }));
+    },
+  };
+}
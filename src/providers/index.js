@@ -0,0 +1,129 @@
+/* ───────────────────────────── Provider layer ── */
+// Every external AI service sits behind an adapter exposing some of these
+// capabilities (all async, all optional per adapter):
+//
+//   chat({ task, model, messages, temperature, responseFormat, signal })
+//     → { content, model, provider }
+//   chatStream({ task, model, messages, temperature, signal })
+//     → async iterable of { text, model }
+//   generateImage({ task, model, prompt, size, aspectRatio, count, options, ctx })
+//     → ProviderImage[]
+//   editImage({ task, model, prompt, image, size, api, ctx })
+//     → ProviderImage
+//   removeBackground({ task, model, imageUrl, imageBuffer, ctx })
+//     → ProviderImage
+//   upscale({ task, model, image, scale, ctx })
+//     → ProviderImage  (`image` is a URL or data URL)
+//   animate({ task, model, imageBase64, prompt, ctx })
+//     → ProviderImage  (a video)
+//
+// ProviderImage is `{ url }` or `{ buffer, mimeType }`, plus optional `seed`,
+// `prompt`, `model` and `predictionId`. Chat results may carry
+// `usage: { inputTokens, outputTokens }`. `task` names the feature making the call
+// (angles, outline, suggestions, …); real adapters ignore it, the mock uses it
+// to pick a fixture. `ctx` is the job context from jobs.js.
+//
+// Every call is reported to the generation history (history.js).
+
+import { loadProviderConfig } from './config.js';
+import { createOpenAIAdapter }    from './openai.js';
+import { createIdeogramAdapter }  from './ideogram.js';
+import { createReplicateAdapter } from './replicate.js';
+import { createCutoutProAdapter } from './cutoutpro.js';
+import { createMockAdapter }      from './mock.js';
+import { recordProviderCall }     from '../history.js';
+
+const FACTORIES = {
+  openai:     (config) => createOpenAIAdapter({ name: 'openai', ...config.openai }),
+  openrouter: (config) => createOpenAIAdapter({ name: 'openrouter', ...config.openrouter }),
+  ideogram:   (config) => createIdeogramAdapter(config.ideogram),
+  replicate:  (config) => createReplicateAdapter(config.replicate),
+  cutoutpro:  (config) => createCutoutProAdapter(config.cutoutpro),
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+let config = null;
+const adapters = new Map();
+
+const RECORDED = ['chat', 'generateImage', 'editImage', 'removeBackground', 'upscale', 'animate'];
+
+// The adapter with each capability reporting its calls to the history
+function recorded(adapter) {
+  const wrapped = { ...adapter };
+  for (const capability of RECORDED.filter((name) => adapter[name])) {
+    wrapped[capability] = async (request) => {
+      const started = Date.now();
+      try {
+        const result = await adapter[capability](request);
+        recordProviderCall({ provider: adapter.name, capability, request, result, durationMs: Date.now() - started });
+        return result;
+      } catch (error) {
+        recordProviderCall({ provider: adapter.name, capability, request, error, durationMs: Date.now() - started });
+        throw error;
+      }
+    };
+  }
+
+  if (adapter.chatStream) {
+    // Recorded once the stream ends, with the text streamed so far
+    wrapped.chatStream = async function* chatStream(request) {
+      const started = Date.now();
+      const result = { content: '', model: request.model };
+      let failure = null;
+      try {
+        for await (const chunk of adapter.chatStream(request)) {
+          result.content += chunk.text;
+          result.model = chunk.model || result.model;
+          yield chunk;
+        }
+      } catch (error) {
+        failure = error;
+        throw error;
+      } finally {
+        recordProviderCall({
+          provider: adapter.name, capability: 'chatStream', request, result, error: failure, durationMs: Date.now() - started,
+        });
+      }
+    };
+  }
+  return wrapped;
+}
+
+function isMocked(name) {
+  return config.mockProviders.includes('all') || config.mockProviders.includes(name);
+}
+
+/**
+ * Returns the adapter registered under `name`, or the mock adapter when the
+ * provider is mocked by config. Adapters are created on first use, after
+ * dotenv has loaded.
+ */
+export function provider(name) {
+  if (!FACTORIES[name]) throw new Error(`Unknown provider: ${name}`);
+  config ??= loadProviderConfig();
+
+  if (!adapters.has(name)) {
+    adapters.set(name, recorded(isMocked(name) ? createMockAdapter(name) : FACTORIES[name](config)));
+  }
+  return adapters.get(name);
+}
+
+// Which adapter backs each provider, for /health and debugging
+export function providerStatus() {
+  config ??= loadProviderConfig();
+  return Object.fromEntries(PROVIDER_NAMES.map((name) => [name, isMocked(name) ? 'mock' : 'live']));
+}
+
+// Forget cached adapters so a changed env (e.g. MOCK_PROVIDERS) takes effect
+export function resetProviders() {
+  config = null;
+  adapters.clear();
+}
+
+/* ─────────────────────────── Output helpers ── */
+// Provider URL as-is, inline bytes as a data URL
+export function imageToUrl(image) {
+  if (image.url) return image.url;
+  return `data:${image.mimeType || 'image/png'};base64,${image.buffer.toString('base64')}`;
+}
@@ -0,0 +1,206 @@
+/* ───────────────────────────── Mock adapter ── */
+// Deterministic, offline stand-in for every provider. The same input always
+// yields the same placeholder image or text, so the API can run locally and
+// in CI without keys or credits.
+
+import crypto from 'crypto';
+import sharp  from 'sharp';
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? '')).digest();
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+function dimensions({ size, aspectRatio }) {
+  if (size && /^\d+x\d+$/.test(size)) {
+    const [width, height] = size.split('x').map(Number);
+    return { width, height };
+  }
+  const [w, h] = String(aspectRatio || '3:2').split(/[:x]/).map(Number);
+  const width = 1024;
+  return { width, height: Math.round((width * h) / w) };
+}
+
+async function placeholderPng({ width, height, label, seed, transparent = false }) {
+  const hue = seed.readUInt16BE(0) % 360;
+  const background = transparent
+    ? ''
+    : `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+         <stop offset="0" stop-color="hsl(${hue},45%,35%)"/>
+         <stop offset="1" stop-color="hsl(${(hue + 60) % 360},45%,15%)"/>
+       </linearGradient></defs>
+       <rect width="100%" height="100%" fill="url(#g)"/>`;
+  const svg = `
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  ${background}
+  <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle"
+        font-family="sans-serif" font-size="${Math.round(height / 14)}" fill="white">${escapeXml(label.slice(0, 48))}</text>
+  <text x="50%" y="62%" text-anchor="middle" font-family="monospace"
+        font-size="${Math.round(height / 40)}" fill="white" fill-opacity="0.6">mock ${seed.toString('hex').slice(0, 8)}</text>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/* ─────────────────────────── Chat fixtures ── */
+const CHAT_FIXTURES = {
+  angles: () => ({
+    angles: [1, 2, 3, 4, 5].map((n) => ({
+      title:   `Mock Angle ${n}`,
+      summary: `A placeholder summary for angle ${n}.`,
+      journey: `Placeholder journey for angle ${n}.`,
+    })),
+  }),
+  outline: () => ({
+    title:        'Mock Sermon Title',
+    bigIdea:      'A placeholder big idea in one sentence.',
+    introduction: 'A placeholder introduction.',
+    mainPoints: [1, 2, 3].map((n) => ({
+      heading:      `Mock Point ${n}`,
+      scripture:    [`John 3:${n}`],
+      explanation:  `Placeholder explanation for point ${n}.`,
+      illustration: `Placeholder illustration for point ${n}.`,
+      application:  `Placeholder application for point ${n}.`,
+    })),
+    conclusion: 'A placeholder conclusion.',
+    invitation: 'A placeholder invitation.',
+  }),
+  series: ({ messages }) => {
+    const weeks = Number(JSON.stringify(messages).match(/Exactly (\d+) weeks/)?.[1]) || 6;
+    return {
+      title:    'Mock Series',
+      subtitle: 'A placeholder subtitle',
+      summary:  'A placeholder arc for the whole series.',
+      weeks: Array.from({ length: weeks }, (_, index) => ({
+        title:    `Mock Week ${index + 1}`,
+        passage:  `John ${index + 1}:1-5`,
+        bigIdea:  `Placeholder big idea for week ${index + 1}.`,
+        summary:  `Placeholder summary for week ${index + 1}.`,
+        buildsOn: index ? `Builds on week ${index}.` : 'Opens the series.',
+      })),
+      visualIdentity: {
+        palette:         [{ name: 'Navy', hex: '#1B2A41' }, { name: 'Gold', hex: '#C9A227' }, { name: 'Cream', hex: '#F4EBD9' }],
+        typographyStyle: 'focused',
+        composition:     'centered title over a wide horizon',
+        motif:           'a single rising sun',
+        mood:            'hopeful',
+      },
+    };
+  },
+  // Echoes the "- key: value" facts from the prompt so the fact check passes
+  campaign: ({ messages }) => {
+    const facts = Object.fromEntries([...messages.map((message) => message.content).join('\n')
+      .matchAll(/^- (title|date|time|location|url|cta): (.+)$/gm)].map(([, key, value]) => [key, value]));
+    const when = [facts.date, facts.time, facts.location].filter(Boolean).join(', ') || 'this Sunday';
+    return {
+      facts,
+      facebook:          { text: `Mock Facebook post. Join us ${when}.` },
+      instagram:         { caption: `Mock Instagram caption. ${when}.`, hashtags: ['church', 'community'] },
+      xThread:           { posts: [`Mock post 1/2. ${when}.`, 'Mock post 2/2.'] },
+      announcementEmail: { subject: 'Mock announcement', body: `Mock announcement email. ${when}.` },
+      thankYouEmail:     { subject: 'Thank you', body: 'Mock thank-you email.' },
+      eventDescription:  { text: `Mock event description. ${when}.` },
+    };
+  },
+  // Marks the text it was asked to translate
+  translate: ({ messages }) => {
+    const { headline, subHeadline } = JSON.parse(messages.at(-1).content);
+    return { headline: `${headline} (translated)`, subHeadline: `${subHeadline} (translated)` };
+  },
+  // The event's title as the headline
+  'event-headlines': ({ messages }) => {
+    const { title } = JSON.parse(messages.at(-1).content);
+    return { headline: title || 'Mock Event', subHeadline: 'Mock subheadline for this event' };
+  },
+  // Can't see the image, so the read-back never matches
+  'text-check': () => ({ lines: ['Mock transcription'] }),
+  suggestions: () => ({
+    suggestions: [1, 2, 3, 4, 5].map((n) => `Mock background concept ${n}: soft light over a quiet landscape.`),
+  }),
+};
+
+function mockText(task, messages, digest) {
+  const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+  const excerpt = String(lastUser?.content ?? '').trim().replace(/\s+/g, ' ').slice(0, 120);
+  return `# Mock ${task || 'response'}
+
+This is a deterministic placeholder (${digest}) generated without calling a model.
+
+- Request excerpt: ${excerpt}
+- Point one
+- Point two
+- Point three
+`;
+}
+
+export function createMockAdapter(name = 'mock') {
+  const image = async ({ task, prompt, size, aspectRatio, transparent, seed: requestedSeed }) => {
+    const seed = hashOf([name, task, prompt]);
+    const buffer = await placeholderPng({
+      ...dimensions({ size, aspectRatio }),
+      label: prompt || task || 'mock image',
+      seed,
+      transparent,
+    });
+    return { buffer, mimeType: 'image/png', seed: requestedSeed ?? seed.readUInt32BE(0) };
+  };
+
+  const chat = async ({ task, model, messages, responseFormat }) => {
+    const digest = hashOf([task, model, messages]).toString('hex').slice(0, 12);
+    const content = responseFormat?.type === 'json_object'
+      ? JSON.stringify(CHAT_FIXTURES[task]?.({ messages }) ?? {})
+      : mockText(task, messages, digest);
+    return { content, model: `mock/${model}`, provider: `mock:${name}` };
+  };
+
+  return {
+    name: `mock:${name}`,
+
+    chat,
+
+    // Word-sized chunks behind a think block, like a reasoning model
+    async *chatStream({ signal, ...request }) {
+      const { content, model } = await chat(request);
+      const chunks = ['<think>', 'Mock reasoning.', '</think>\n\n', ...content.match(/\S+\s*/g)];
+      for (const text of chunks) {
+        if (signal?.aborted) throw new Error('Request was aborted.');
+        await new Promise((resolve) => setImmediate(resolve));
+        yield { text, model };
+      }
+    },
+
+    async generateImage({ task, prompt, size, aspectRatio, count = 1, options = {} }) {
+      return Promise.all(Array.from({ length: count }, (_, index) => image({
+        task, prompt: count > 1 ? `${prompt} #${index + 1}` : prompt, size, aspectRatio, seed: options.seed,
+      })));
+    },
+
+    async editImage({ task, prompt, size }) {
+      return image({ task, prompt, size });
+    },
+
+    async removeBackground({ task, imageUrl }) {
+      return image({ task, prompt: `cut-out ${imageUrl || ''}`.trim(), size: '1248x832', transparent: true });
+    },
+
+    // The input at the requested scale, resized locally
+    async upscale({ image, scale = 4 }) {
+      const input = Buffer.from(image.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64');
+      const { width } = await sharp(input).metadata();
+      const buffer = await sharp(input).resize({ width: width * scale }).png().toBuffer();
+      return { buffer, mimeType: 'image/png' };
+    },
+
+    // A two-frame GIF stands in for the video
+    async animate({ task, prompt }) {
+      const seed = hashOf([name, task, prompt]);
+      const frames = await Promise.all([0, 1].map((frame) => placeholderPng({
+        width: 480, height: 270, label: `${prompt || 'animation'} ${frame + 1}`, seed,
+      })));
+      const buffer = await sharp(frames, { join: { animated: true } }).gif({ delay: [500, 500], loop: 0 }).toBuffer();
+      return { buffer, mimeType: 'image/gif' };
+    },
+  };
+}
@@ -0,0 +1,206 @@
+/* ───────────────────────────── Model routing ── */
+// Each feature has an ordered chain of { provider, model, timeoutMs }. A call
+// tries the chain in order and moves on when a model errors or times out, so a
+// retired preview model or an OpenRouter outage degrades instead of 500ing.
+//
+// Defaults live below; MODEL_ROUTES_FILE may point at a JSON file whose
+// top-level keys replace the chain for those features, e.g.
+//   { "outline": [{ "provider": "openai", "model": "gpt-4.1", "timeoutMs": 120000 }] }
+//
+// Routes wrap their work in withModelReport() to get back which model
+// actually served each feature.
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { provider } from './index.js';
+
+const DEEPSEEK_R1 = { provider: 'openrouter', model: 'deepseek/deepseek-r1-0528' };
+const GPT_41      = { provider: 'openai', model: 'gpt-4.1' };
+
+export const DEFAULT_MODEL_ROUTES = {
+  angles:   [{ ...DEEPSEEK_R1, timeoutMs: 120_000 }, { ...GPT_41, timeoutMs: 60_000 }],
+  outline:  [{ ...DEEPSEEK_R1, timeoutMs: 180_000 }, { ...GPT_41, timeoutMs: 120_000 }],
+  series:   [{ ...DEEPSEEK_R1, timeoutMs: 180_000 }, { ...GPT_41, timeoutMs: 120_000 }],
+  research: [{ ...DEEPSEEK_R1, timeoutMs: 240_000 }, { ...GPT_41, timeoutMs: 150_000 }],
+  comms:    [{ ...DEEPSEEK_R1, timeoutMs: 120_000 }, { ...GPT_41, timeoutMs: 60_000 }],
+  campaign: [{ ...DEEPSEEK_R1, timeoutMs: 180_000 }, { ...GPT_41, timeoutMs: 120_000 }],
+  translate: [
+    { provider: 'openai', model: 'gpt-4.1-mini', timeoutMs: 30_000 },
+    { provider: 'openrouter', model: 'openai/gpt-4.1-mini', timeoutMs: 30_000 },
+  ],
+  // Poster headlines for imported calendar events
+  'event-headlines': [
+    { provider: 'openai', model: 'gpt-4.1-mini', timeoutMs: 30_000 },
+    { provider: 'openrouter', model: 'openai/gpt-4.1-mini', timeoutMs: 30_000 },
+  ],
+  // Vision: reads the text back from generated images
+  'text-check': [
+    { provider: 'openai', model: 'gpt-4.1-mini', timeoutMs: 30_000 },
+    { provider: 'openrouter', model: 'openai/gpt-4.1-mini', timeoutMs: 30_000 },
+  ],
+  'image-prompt': [
+    { provider: 'openrouter', model: 'google/gemini-2.5-flash-preview-05-20', timeoutMs: 30_000 },
+    { provider: 'openrouter', model: 'google/gemini-2.5-flash', timeoutMs: 30_000 },
+    { provider: 'openai', model: 'gpt-4.1-mini', timeoutMs: 30_000 },
+  ],
+  suggestions: [
+    { provider: 'openai', model: 'gpt-4.1-nano-2025-04-14', timeoutMs: 20_000 },
+    { provider: 'openai', model: 'gpt-4.1-mini', timeoutMs: 30_000 },
+    { provider: 'openrouter', model: 'openai/gpt-4.1-mini', timeoutMs: 30_000 },
+  ],
+  'enhance-description': [
+    { provider: 'openai', model: 'gpt-4o', timeoutMs: 45_000 },
+    { provider: 'openrouter', model: 'openai/gpt-4o', timeoutMs: 45_000 },
+  ],
+  // Image pipeline: methods of /api/generate-final, tried in order after the requested one
+  'final-poster': [
+    { method: 'edit', provider: 'openai', model: 'gpt-image-1', timeoutMs: 180_000 },
+    { method: 'responses', provider: 'openai', model: 'gpt-4o', timeoutMs: 180_000 },
+    { method: 'generate', provider: 'openai', model: 'gpt-image-1', timeoutMs: 120_000 },
+  ],
+};
+
+let routes = null;
+
+export function modelRoutes() {
+  if (!routes) {
+    routes = { ...DEFAULT_MODEL_ROUTES };
+    const file = process.env.MODEL_ROUTES_FILE;
+    if (file) {
+      Object.assign(routes, JSON.parse(fs.readFileSync(file, 'utf8')));
+      console.log(`Model routes loaded from ${file}`);
+    }
+  }
+  return routes;
+}
+
+export function modelRoute(feature) {
+  const chain = modelRoutes()[feature];
+  if (!chain?.length) throw new Error(`No model route configured for "${feature}"`);
+  return chain;
+}
+
+/* ─────────────────────────── Reporting ── */
+const reportStore = new AsyncLocalStorage();
+
+// Records which model served `feature` in the surrounding withModelReport()
+export function recordModel(feature, info) {
+  const report = reportStore.getStore();
+  if (report) report[feature] = info;
+}
+
+// Runs fn and adds `models: { feature: { provider, model, fallback, … } }` to its result
+export async function withModelReport(fn) {
+  const report = {};
+  const result = await reportStore.run(report, fn);
+  return { ...result, models: report };
+}
+
+/* ─────────────────────────── Fallback runner ── */
+export async function withTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${label} timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The shape reported under `models[feature]`
+export function describeChoice(step, attempts, servedModel) {
+  return {
+    ...(step.method ? { method: step.method } : {}),
+    provider: step.provider,
+    model:    servedModel || step.model,
+    fallback: attempts.length > 0,
+    ...(attempts.length ? { failed: attempts.map(({ timeoutMs, ...attempt }) => attempt) } : {}),
+  };
+}
+
+/**
+ * Try each step of a chain until one succeeds.
+ * `run(step, signal)` performs the call; the result is `{ value, step, attempts }`.
+ * `canFallback(error)` returning false stops the chain and rethrows that
+ * error as is (e.g. once streamed text has reached the client, or when the
+ * request itself is at fault).
+ */
+export async function runWithFallback(feature, chain, run, { canFallback = () => true } = {}) {
+  const attempts = [];
+  for (const step of chain) {
+    const label = step.method || `${step.provider}:${step.model}`;
+    try {
+      const value = await withTimeout((signal) => run(step, signal), step.timeoutMs || 120_000, `${feature} via ${label}`);
+      return { value, step, attempts };
+    } catch (error) {
+      console.warn(`[models] ${feature} via ${label} failed: ${error.message}`);
+      attempts.push({ ...step, error: error.message });
+      if (!canFallback(error)) throw error;
+    }
+  }
+
+  const summary = attempts.map((attempt) => `${attempt.method || attempt.model}: ${attempt.error}`).join('; ');
+  throw new Error(`All models failed for ${feature} – ${summary}`);
+}
+
+/**
+ * Chat completion routed through the feature's model chain.
+ * Returns `{ content, model, provider }` and records the choice. A `signal`
+ * in the request aborts the call on top of each step's timeout.
+ */
+export async function routeChat(feature, { signal, ...request }) {
+  const { value, step, attempts } = await runWithFallback(feature, modelRoute(feature), (entry, timeoutSignal) =>
+    provider(entry.provider).chat({
+      ...request, task: feature, model: entry.model, signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+    }), { canFallback: () => !signal?.aborted });
+
+  recordModel(feature, describeChoice(step, attempts, value.model));
+  return value;
+}
+
+/**
+ * Streaming variant of routeChat: `onText(text)` receives each content delta.
+ * The chain only falls back while nothing has been streamed yet. Adapters
+ * without chatStream answer in one piece. Resolves like routeChat with the
+ * complete, unfiltered content.
+ */
+export async function routeChatStream(feature, { signal, ...request }, onText) {
+  let streamed = false;
+
+  const { value, step, attempts } = await runWithFallback(feature, modelRoute(feature), async (entry, timeoutSignal) => {
+    const adapter = provider(entry.provider);
+    const call = {
+      ...request,
+      task:   feature,
+      model:  entry.model,
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+    };
+
+    if (!adapter.chatStream) {
+      const result = await adapter.chat(call);
+      streamed = true;
+      onText(result.content);
+      return result;
+    }
+
+    let content = '';
+    let model = entry.model;
+    for await (const chunk of adapter.chatStream(call)) {
+      content += chunk.text;
+      model = chunk.model || model;
+      streamed = true;
+      onText(chunk.text);
+    }
+    return { content, model, provider: adapter.name };
+  }, { canFallback: () => !streamed && !signal?.aborted });
+
+  recordModel(feature, describeChoice(step, attempts, value.model));
+  return value;
+}
@@ -0,0 +1,101 @@
+/* ───────────────────────────── OpenAI-compatible adapter ── */
+// Serves both OpenAI and OpenRouter (which speaks the same chat API).
+
+import OpenAI, { toFile } from 'openai';
+
+function toImage(data) {
+  if (data.b64_json) return { buffer: Buffer.from(data.b64_json, 'base64'), mimeType: 'image/png' };
+  if (data.url) return { url: data.url };
+  console.error('Unexpected response format:', data);
+  throw new Error('Image data not found in response');
+}
+
+export function createOpenAIAdapter({ name, apiKey, baseURL, defaultHeaders }) {
+  let client = null;
+  const getClient = () => {
+    client ??= new OpenAI({ apiKey, baseURL, defaultHeaders });
+    return client;
+  };
+
+  return {
+    name,
+
+    async chat({ model, messages, temperature, responseFormat, signal }) {
+      const completion = await getClient().chat.completions.create(
+        {
+          model,
+          messages,
+          ...(temperature !== undefined ? { temperature } : {}),
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+        },
+        { signal },
+      );
+      return {
+        content:  completion.choices[0].message.content,
+        model:    completion.model || model,
+        provider: name,
+        usage:    completion.usage
+          ? { inputTokens: completion.usage.prompt_tokens, outputTokens: completion.usage.completion_tokens }
+          : null,
+      };
+    },
+
+    // Yields { text, model } per content delta. Reasoning that OpenRouter sends
+    // in `delta.reasoning` is not part of the answer and is skipped.
+    async *chatStream({ model, messages, temperature, signal }) {
+      const stream = await getClient().chat.completions.create(
+        {
+          model,
+          messages,
+          stream: true,
+          ...(temperature !== undefined ? { temperature } : {}),
+        },
+        { signal },
+      );
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield { text, model: chunk.model || model };
+      }
+    },
+
+    async generateImage({ model = 'gpt-image-1', prompt, size = '1536x1024', options = {}, signal }) {
+      const result = await getClient().images.generate({ model, prompt, size, ...options }, { signal });
+      return result.data.map((data) => ({ ...toImage(data), model }));
+    },
+
+    // api: 'images' uses the Image Edit endpoint; 'responses' passes the image to
+    // gpt-4o with the image_generation tool
+    async editImage({ model, prompt, image, size = '1536x1024', api = 'images', signal }) {
+      if (api === 'responses') {
+        const response = await getClient().responses.create({
+          model: model || 'gpt-4o',
+          input: [
+            {
+              role: 'user',
+              content: [
+                { type: 'input_text', text: prompt },
+                { type: 'input_image', image_url: `data:image/png;base64,${image.toString('base64')}` },
+              ],
+            },
+          ],
+          tools: [{ type: 'image_generation', quality: 'high', size }],
+        }, { signal });
+
+        const imageData = response.output
+          .filter((output) => output.type === 'image_generation_call')
+          .map((output) => output.result);
+        if (!imageData.length) throw new Error('No image generated in response');
+        return { buffer: Buffer.from(imageData[0], 'base64'), mimeType: 'image/png', model: model || 'gpt-4o' };
+      }
+
+      const result = await getClient().images.edit({
+        model: model || 'gpt-image-1',
+        image: await toFile(image, 'typography.png', { type: 'image/png' }),
+        prompt,
+        size,
+      }, { signal });
+      console.log('Edit API response:', JSON.stringify({ ...result.data[0], b64_json: result.data[0].b64_json ? '…' : undefined }, null, 2));
+      return { ...toImage(result.data[0]), model: model || 'gpt-image-1' };
+    },
+  };
+}
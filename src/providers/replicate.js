@@ -0,0 +1,229 @@
+/* ───────────────────────────── Replicate adapter ── */
+// One prediction runner shared by image generation, editing, background
+// removal, upscaling and animation: create, wait for the result, report progress to
+// the job context and cancel upstream when the job is canceled or times out.
+//
+// With a webhook URL and secret configured, predictions are created with a
+// callback and the runner waits for Replicate's webhook (/api/webhooks/replicate),
+// polling only every 30 s in case a delivery is lost. Without them it polls
+// once per interval.
+
+import { inlineContext } from '../jobs.js';
+import { verifySignature, WebhookError } from '../webhooks.js';
+
+const MODELS = {
+  imageFast:        'google/imagen-4-fast',
+  imageUltra:       'google/imagen-4-ultra',
+  edit:             'black-forest-labs/flux-kontext-dev',
+  removeBackground: 'lucataco/remove-bg:95fcc2a26d3899cd6c2691c900465aaeff466285a65c14638cc5f36f34befaf1',
+  animate:          'bytedance/seedance-1-pro',
+  upscale:          'nightmareai/real-esrgan:f121d640bd286e1fdc67f9799164c1d5be36ff74576ee11c803ae5b665dd46aa',
+};
+
+const DEFAULT_TIMEOUT_MS   = 5 * 60 * 1000;
+const SAFETY_POLL_MS       = 30_000;
+const EARLY_WEBHOOK_TTL_MS = 10 * 60 * 1000;
+
+const isPending = (prediction) => prediction.status === 'starting' || prediction.status === 'processing';
+
+/* ──── Webhook hand-off ───── */
+// Runners waiting on a prediction, and webhooks that arrived before their
+// runner started waiting (a fast model can finish before the create call returns)
+const waiting = new Map(); // prediction id → resolve
+const early   = new Map(); // prediction id → prediction
+
+function deliver(prediction) {
+  const resolve = waiting.get(prediction.id);
+  if (resolve) {
+    waiting.delete(prediction.id);
+    resolve(prediction);
+    return;
+  }
+  // Webhooks can arrive out of order; a late "start" mustn't hide the result
+  if (early.has(prediction.id) && isPending(prediction)) return;
+  early.set(prediction.id, prediction);
+  setTimeout(() => early.delete(prediction.id), EARLY_WEBHOOK_TTL_MS).unref();
+}
+
+// The next webhook for `id`, or null after `ms` or on cancel – the caller polls then
+function nextUpdate(id, ms, signal) {
+  if (early.has(id)) {
+    const prediction = early.get(id);
+    early.delete(id);
+    return Promise.resolve(prediction);
+  }
+  return new Promise((resolve) => {
+    const done = (prediction) => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+      waiting.delete(id);
+      resolve(prediction);
+    };
+    const onAbort = () => done(null);
+    const timer = setTimeout(() => done(null), ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+    waiting.set(id, done);
+  });
+}
+
+// imagen returns a string, flux an array; either way we want the first URL
+function firstOutputUrl(output) {
+  const url = Array.isArray(output) ? output[0] : output;
+  return typeof url === 'string' ? url : null;
+}
+
+export function createReplicateAdapter({ apiToken, baseURL, webhookUrl, webhookSecret }) {
+  const headers = {
+    'Authorization': `Token ${apiToken}`,
+    'Content-Type':  'application/json',
+  };
+  const webhooks = Boolean(webhookUrl && webhookSecret);
+
+  async function cancelPrediction(id) {
+    await fetch(`${baseURL}/predictions/${id}/cancel`, { method: 'POST', headers });
+  }
+
+  async function fetchPrediction(prediction, label) {
+    const response = await fetch(prediction.urls?.get || `${baseURL}/predictions/${prediction.id}`, { headers });
+    if (!response.ok) {
+      console.error(`${label} polling failed: HTTP status ${response.status}`);
+      throw new Error(`Polling failed: HTTP status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Create a prediction and wait for it to settle, for at most `timeoutMs`.
+   * `version` posts to /predictions (a model name or owner/name:hash both work);
+   * `model` posts to /models/{owner}/{name}/predictions.
+   */
+  async function runPrediction(
+    { version, model, input, label, timeoutMs = DEFAULT_TIMEOUT_MS, interval = 1000 },
+    ctx = inlineContext(),
+  ) {
+    const callback = webhooks ? { webhook: webhookUrl, webhook_events_filter: ['start', 'completed'] } : {};
+    const createResponse = await fetch(
+      model ? `${baseURL}/models/${model}/predictions` : `${baseURL}/predictions`,
+      { method: 'POST', headers, body: JSON.stringify(model ? { input, ...callback } : { version, input, ...callback }) },
+    );
+
+    const prediction = await createResponse.json();
+    if (!createResponse.ok || prediction.error) {
+      const errorDetail = prediction.error ? JSON.stringify(prediction.error) : `HTTP status ${createResponse.status}`;
+      console.error(`${label} prediction creation failed: ${errorDetail}`);
+      throw new Error(`Prediction creation failed: ${errorDetail}`);
+    }
+
+    console.log(`${label} prediction ${prediction.id} created. Waiting for ${webhooks ? 'webhook' : 'result'}...`);
+    ctx.progress(`${label} prediction created`, { predictionId: prediction.id, status: prediction.status });
+    ctx.onCancel(() => cancelPrediction(prediction.id));
+
+    const deadline = Date.now() + timeoutMs;
+    let result = prediction;
+    while (isPending(result)) {
+      if (Date.now() >= deadline) {
+        await cancelPrediction(prediction.id).catch(() => {});
+        console.error(`${label} timed out after ${timeoutMs / 1000}s`);
+        throw new Error(`${label} timed out after ${timeoutMs / 1000}s`);
+      }
+      const wait = Math.min(webhooks ? SAFETY_POLL_MS : interval, deadline - Date.now());
+      const update = await nextUpdate(prediction.id, wait, ctx.signal);
+      ctx.throwIfCanceled();
+
+      const previous = result;
+      result = update ?? await fetchPrediction(prediction, label);
+      if (previous.status !== result.status) {
+        console.log(`${label} status:`, result.status);
+        ctx.progress(`${label} ${result.status}`, { predictionId: result.id, status: result.status });
+      }
+    }
+
+    if (result.status === 'succeeded') return result;
+
+    const failureReason = result.error ? JSON.stringify(result.error) : `Status: ${result.status}`;
+    console.error(`${label} failed: ${failureReason}`);
+    throw new Error(`${label} failed: ${failureReason}`);
+  }
+
+  async function runForUrl(options, ctx) {
+    const result = await runPrediction(options, ctx);
+    const url = firstOutputUrl(result.output);
+    if (!url) throw new Error(`${options.label} returned no output URL`);
+    console.log(`${options.label} succeeded. Output URL:`, url);
+    return { url, predictionId: result.id, model: options.model || options.version };
+  }
+
+  /**
+   * A webhook from Replicate: checks the signature against the raw body and
+   * hands the prediction to the runner waiting on it.
+   */
+  function receiveWebhook({ headers: requestHeaders, rawBody }) {
+    if (!webhookSecret) throw new WebhookError('Replicate webhooks are not configured (REPLICATE_WEBHOOK_SECRET)', 404);
+    verifySignature(webhookSecret, requestHeaders, rawBody);
+    const prediction = JSON.parse(rawBody.toString('utf8'));
+    if (!prediction?.id) throw new WebhookError('Webhook body is not a prediction');
+    deliver(prediction);
+    return prediction;
+  }
+
+  return {
+    name: 'replicate',
+    runPrediction,
+    receiveWebhook,
+
+    async generateImage({ model = MODELS.imageFast, prompt, aspectRatio = '16:9', options = {}, timeoutMs, ctx }) {
+      return [await runForUrl({
+        version: model,
+        input: { prompt, aspect_ratio: aspectRatio, ...options },
+        label: 'Image generation',
+        timeoutMs,
+      }, ctx)];
+    },
+
+    async editImage({ model = MODELS.edit, prompt, image, ctx }) {
+      return runForUrl({
+        version: model,
+        input: { prompt, input_image: image, aspect_ratio: 'match_input_image', output_format: 'png' },
+        label: 'Image edit',
+        timeoutMs: 60_000,
+      }, ctx);
+    },
+
+    async removeBackground({ model = MODELS.removeBackground, imageUrl, ctx }) {
+      return runForUrl({
+        version: model,
+        input: { image: imageUrl },
+        label: 'Background removal',
+        timeoutMs: 60_000,
+      }, ctx);
+    },
+
+    async upscale({ model = MODELS.upscale, image, scale = 4, ctx }) {
+      return runForUrl({
+        version: model,
+        input: { image, scale, face_enhance: false },
+        label: 'Upscale',
+        timeoutMs: 180_000,
+      }, ctx);
+    },
+
+    async animate({ model = MODELS.animate, imageBase64, prompt, ctx }) {
+      const video = await runForUrl({
+        model,
+        input: {
+          image: `data:image/png;base64,${imageBase64}`,
+          prompt,
+          resolution: '1080p',
+          duration: 5,
+          camera_fixed: true,
+        },
+        label: 'Animation',
+        timeoutMs: 10 * 60 * 1000,
+        interval: 500,
+      }, ctx);
+      return { ...video, mimeType: 'video/mp4' };
+    },
+  };
+}
+
+export { MODELS as REPLICATE_MODELS };
@@ -0,0 +1,174 @@
+/* ───────────────────────────── QR codes ── */
+// Registration and giving links are printed as QR codes generated locally and
+// placed in a poster corner. The code keeps its quiet zone (4 white modules),
+// may sit in a brand-colored frame with a caption, and is decoded again from
+// the finished image: if it no longer scans at the output resolution it is
+// enlarged, and the request fails rather than returning a dead code.
+
+import sharp  from 'sharp';
+import QRCode from 'qrcode';
+import jsQR   from 'jsqr';
+import { z }  from 'zod';
+
+export const QR_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const QUIET_ZONE = 4; // modules, the minimum the QR spec asks for
+const MAX_SIZE   = 0.4;
+const GROWTH     = [1, 1.25, 1.5]; // size multipliers tried when a code doesn't scan
+
+const HttpUrl = z.string().url().refine((url) => /^https?:\/\//i.test(url), 'must be an http(s) URL');
+
+export const QrOptions = z.preprocess(
+  (value) => (typeof value === 'string' ? { url: value } : value), // `qr: "https://…"` shorthand
+  z.object({
+    url:     HttpUrl,
+    corner:  z.enum(QR_CORNERS).optional(), // default: a bottom corner the logo doesn't use
+    size:    z.number().min(0.08).max(MAX_SIZE).default(0.18), // code width / shorter poster side
+    frame:   z.boolean().default(false),
+    caption: z.string().trim().min(1).max(40).optional(), // e.g. "Scan to register"
+    errorCorrection: z.enum(['L', 'M', 'Q', 'H']).default('M'),
+  }),
+);
+
+export class QrError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QrError';
+    this.status = status;
+  }
+}
+
+export function parseQrOptions(qr) {
+  const parsed = QrOptions.safeParse(qr);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `qr.${issue.path.join('.') || 'url'}: ${issue.message}`);
+    throw new QrError(`Invalid QR code options – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Tile ───── */
+const escapeMarkup = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Frame color: the kit's primary color, else near-black
+function frameColors(kit) {
+  const hex = kit?.colors.find((color) => color.role === 'primary')?.hex || kit?.colors[0]?.hex || '#111111';
+  const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+  const light = (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6;
+  return { fill: hex, text: light ? '#111111' : '#FFFFFF' };
+}
+
+// Dark modules on white at a whole number of pixels per module, so the edges stay crisp
+async function renderCode(qr, targetWidth) {
+  const modules = QRCode.create(qr.url, { errorCorrectionLevel: qr.errorCorrection }).modules.size;
+  const scale = Math.max(2, Math.round(targetWidth / (modules + 2 * QUIET_ZONE)));
+  const buffer = await QRCode.toBuffer(qr.url, {
+    errorCorrectionLevel: qr.errorCorrection,
+    margin: QUIET_ZONE,
+    scale,
+    color: { dark: '#000000ff', light: '#ffffffff' },
+  });
+  return { buffer, width: scale * (modules + 2 * QUIET_ZONE) };
+}
+
+async function renderCaption(text, { width, fontSize, font, color }) {
+  const { data, info } = await sharp({
+    text: {
+      text: `<span foreground="${color}" weight="bold">${escapeMarkup(text)}</span>`,
+      font: `${font} ${fontSize}px`, width, rgba: true, dpi: 72, align: 'center', wrap: 'word',
+    },
+  }).png().toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// The code plus its optional frame and caption as one PNG
+async function renderTile(qr, codeWidth, kit) {
+  const code = await renderCode(qr, codeWidth);
+  if (!qr.frame && !qr.caption) return { buffer: code.buffer, width: code.width, height: code.width };
+
+  const colors = qr.frame ? frameColors(kit) : { fill: '#FFFFFF', text: '#111111' };
+  const border = qr.frame ? Math.max(4, Math.round(code.width * 0.05)) : 0;
+  const font = kit?.fonts.body ? `${kit.fonts.body}, sans-serif` : 'sans-serif';
+  const caption = qr.caption && await renderCaption(qr.caption, {
+    width: code.width, fontSize: Math.max(12, Math.round(code.width * 0.11)), font, color: colors.text,
+  });
+  const captionGap = caption ? Math.round(caption.height * 0.35) : 0;
+
+  const width = code.width + 2 * border;
+  const height = code.width + 2 * border + (caption ? caption.height + 2 * captionGap : 0);
+  const radius = qr.frame ? Math.round(border * 1.5) : 0;
+  const backdrop = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<rect width="${width}" height="${height}" rx="${radius}" fill="${colors.fill}"/></svg>`,
+  );
+  const layers = [{ input: code.buffer, left: border, top: border }];
+  if (caption) {
+    layers.push({ input: caption.buffer, left: border + Math.round((code.width - caption.width) / 2), top: border + code.width + captionGap });
+  }
+  const buffer = await sharp(backdrop).composite(layers).png().toBuffer();
+  return { buffer, width, height };
+}
+
+/* ──── Verification ───── */
+/** Decodes the QR code inside `box` of an encoded image; returns its text or null. */
+export async function decodeQrCode(imageBuffer, box) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const pad = Math.round(Math.min(box.width, box.height) * 0.1);
+  const left = Math.max(0, box.left - pad);
+  const top = Math.max(0, box.top - pad);
+  const region = {
+    left, top,
+    width:  Math.min(width, box.left + box.width + pad) - left,
+    height: Math.min(height, box.top + box.height + pad) - top,
+  };
+  const { data, info } = await sharp(imageBuffer).extract(region).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const found = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height, {
+    inversionAttempts: 'dontInvert',
+  });
+  return found?.data ?? null;
+}
+
+/* ──── Placement ───── */
+// A bottom corner the brand logo doesn't occupy
+function defaultCorner(kit) {
+  return kit?.logo?.placement === 'bottom-right' ? 'bottom-left' : 'bottom-right';
+}
+
+/**
+ * Places a QR code in a corner of the poster and checks that it decodes from
+ * the encoded output, enlarging it when it doesn't.
+ *
+ * @param {Buffer} posterBuffer
+ * @param {object} qr         Parsed QrOptions.
+ * @param {object} [options]
+ * @param {object} [options.brandKit] Frame color, caption font and logo corner to avoid.
+ * @param {object} [options.area]     { left, top, width, height } whose corner is used
+ *                                    (default: the whole poster).
+ * @param {Function} [options.encode] Buffer → Promise<Buffer> producing the final file
+ *                                    (default: PNG), so the check sees the real output.
+ * @returns {Promise<{ buffer: Buffer, meta: object }>}
+ */
+export async function placeQrCode(posterBuffer, qr, { brandKit = null, area = null, encode = null } = {}) {
+  const poster = await sharp(posterBuffer).metadata();
+  const box = area || { left: 0, top: 0, width: poster.width, height: poster.height };
+  const shortSide = Math.min(box.width, box.height);
+  const margin = Math.round(shortSide * 0.04);
+  const corner = qr.corner || defaultCorner(brandKit);
+  const [vertical, horizontal] = corner.split('-');
+
+  for (const growth of GROWTH) {
+    const tile = await renderTile(qr, Math.round(shortSide * Math.min(MAX_SIZE, qr.size * growth)), brandKit);
+    if (tile.width > box.width - 2 * margin || tile.height > box.height - 2 * margin) break;
+
+    const left = box.left + (horizontal === 'left' ? margin : box.width - tile.width - margin);
+    const top  = box.top + (vertical === 'top' ? margin : box.height - tile.height - margin);
+    const stamped = await sharp(posterBuffer).composite([{ input: tile.buffer, left, top }]).png().toBuffer();
+    const buffer = encode ? await encode(stamped) : stamped;
+
+    const placed = { left, top, width: tile.width, height: tile.height };
+    if (await decodeQrCode(buffer, placed) === qr.url) {
+      return { buffer, meta: { url: qr.url, corner, ...placed, verified: true } };
+    }
+  }
+  throw new QrError(`QR code for ${qr.url} does not scan at ${poster.width}x${poster.height}; use a larger size or a shorter URL`, 422);
+}
@@ -0,0 +1,266 @@
+/* ───────────────────────────── Remote fetching ── */
+// Every image this server downloads on someone's behalf – /api/proxy-image,
+// typography and background URLs, provider outputs – comes through here, so
+// a request body can't turn the server into an open proxy or point it at
+// internal addresses:
+//   • only allowlisted hosts (providers' delivery hosts + FETCH_ALLOWED_HOSTS)
+//   • every address a host resolves to must be public, checked when the socket
+//     connects so DNS rebinding can't slip past; redirects are re-checked the same way
+//   • content type, size and time limits
+// Our own asset URLs never get here: they are read straight from storage.
+
+import crypto from 'crypto';
+import dns    from 'dns';
+import fs     from 'fs';
+import http   from 'http';
+import https  from 'https';
+import net    from 'net';
+import path   from 'path';
+
+const DATA_DIR      = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const MAX_BYTES     = Number(process.env.FETCH_MAX_BYTES) || 25 * 1024 * 1024;
+const TIMEOUT_MS    = Number(process.env.FETCH_TIMEOUT_MS) || 20_000;
+const MAX_REDIRECTS = 3;
+
+// Where the providers deliver their images
+const PROVIDER_HOSTS = [
+  'ideogram.ai',                                // Ideogram
+  'replicate.delivery',                         // Replicate outputs (*.replicate.delivery)
+  'oaidalleapiprodscus.blob.core.windows.net',  // OpenAI image URLs
+];
+
+// "*" allows any public host; the private address checks still apply
+const ALLOWED_HOSTS = [
+  ...PROVIDER_HOSTS,
+  ...(process.env.FETCH_ALLOWED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+];
+
+const CACHE_DIR       = process.env.FETCH_CACHE === 'true' ? process.env.FETCH_CACHE_DIR || path.join(DATA_DIR, 'fetch-cache') : null;
+const CACHE_TTL_MS    = Number(process.env.FETCH_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+const CACHE_MAX_BYTES = Number(process.env.FETCH_CACHE_MAX_BYTES) || 500 * 1024 * 1024;
+
+export class FetchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FetchError';
+    this.status = status;
+  }
+}
+
+/* ──── Address checks ───── */
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast, reserved …
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1, or ::ffff:a00:1 as URLs write it) is the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (mappedHex) {
+    const [high, low] = mappedHex.slice(1).map((group) => parseInt(group, 16));
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A host that names a private address outright: an IP literal in a private
+// range, or localhost. Names that resolve to one are caught by guardedLookup.
+export function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+// dns.lookup with every resolved address vetted; handed to the socket, so the
+// address checked is the address connected to. Also used for webhook deliveries.
+export function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new FetchError(`${hostname} resolves to a private address`, 403));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const hostAllowed = (hostname) => ALLOWED_HOSTS.some((allowed) =>
+  allowed === '*' || hostname === allowed || hostname.endsWith(`.${allowed}`));
+
+function checkUrl(url, anyHost) {
+  if (!['http:', 'https:'].includes(url.protocol)) throw new FetchError(`Only http and https URLs can be fetched, not ${url.protocol}`);
+  if (url.username || url.password) throw new FetchError('URLs with credentials are not fetched');
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!anyHost && !hostAllowed(hostname)) throw new FetchError(`${hostname} is not an allowed image host`, 403);
+  // The lookup hook never sees IP literals
+  if (isPrivateHost(hostname)) throw new FetchError(`${hostname} is a private address`, 403);
+}
+
+/* ──── Cache ───── */
+// DATA_DIR/fetch-cache/<sha256 of url>.json (metadata) + .bin (bytes)
+const cacheKey = (url) => crypto.createHash('sha256').update(url).digest('hex');
+
+async function readCache(url) {
+  const key = cacheKey(url);
+  try {
+    const meta = JSON.parse(await fs.promises.readFile(path.join(CACHE_DIR, `${key}.json`), 'utf8'));
+    if (meta.url !== url || Date.now() - Date.parse(meta.fetchedAt) > CACHE_TTL_MS) return null;
+    return { ...meta, buffer: await fs.promises.readFile(path.join(CACHE_DIR, `${key}.bin`)) };
+  } catch {
+    return null; // missing or half-written
+  }
+}
+
+async function writeCache(url, result) {
+  const key = cacheKey(url);
+  const meta = { url, contentType: result.contentType, size: result.buffer.length, fetchedAt: new Date().toISOString() };
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.bin`), result.buffer);
+    await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.json`), JSON.stringify(meta));
+    await pruneCache();
+  } catch (error) {
+    console.error(`Failed to cache ${url}:`, error.message); // a cache failure never fails the fetch
+  }
+}
+
+// Oldest entries go first once the cache is over FETCH_CACHE_MAX_BYTES
+async function pruneCache() {
+  const names = (await fs.promises.readdir(CACHE_DIR)).filter((name) => name.endsWith('.json'));
+  const entries = [];
+  for (const name of names) {
+    try {
+      entries.push({ key: name.slice(0, -5), ...JSON.parse(await fs.promises.readFile(path.join(CACHE_DIR, name), 'utf8')) });
+    } catch {
+      // being written by another request
+    }
+  }
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt))) {
+    if (total <= CACHE_MAX_BYTES) break;
+    await fs.promises.rm(path.join(CACHE_DIR, `${entry.key}.bin`), { force: true });
+    await fs.promises.rm(path.join(CACHE_DIR, `${entry.key}.json`), { force: true });
+    total -= entry.size;
+  }
+}
+
+/* ──── Fetching ───── */
+const megabytes = (bytes) => `${Number((bytes / 1024 / 1024).toFixed(1))} MB`;
+
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    client.get(url, {
+      lookup: guardedLookup,
+      signal,
+      headers: { 'User-Agent': 'SaltCreative-Fetch/1.0', Accept: 'image/*,video/*;q=0.8' },
+    }, resolve).on('error', reject);
+  });
+}
+
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new FetchError(`Response is larger than ${megabytes(maxBytes)}`, 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function download(target, { accept, maxBytes, anyHost, signal }) {
+  let url = target;
+  for (let redirects = 0; ; redirects++) {
+    checkUrl(url, anyHost);
+    const response = await request(url, signal);
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects === MAX_REDIRECTS) throw new FetchError(`More than ${MAX_REDIRECTS} redirects`, 502);
+      url = new URL(headers.location, url); // checked like the original on the next pass
+      continue;
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      throw new FetchError(`${url.hostname} replied ${statusCode}`, 502);
+    }
+
+    const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!accept.some((prefix) => contentType.startsWith(prefix))) {
+      response.resume();
+      throw new FetchError(`Expected ${accept.map((prefix) => `${prefix}*`).join(' or ')}, got ${contentType || 'no content type'}`, 415);
+    }
+    if (Number(headers['content-length']) > maxBytes) {
+      response.resume();
+      throw new FetchError(`Response is larger than ${megabytes(maxBytes)}`, 413);
+    }
+    return { buffer: await readBody(response, maxBytes), contentType, url: url.href };
+  }
+}
+
+/**
+ * Downloads a remote image (or, with `accept`, another media type) within
+ * the allowlist, size and time limits.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string[]} [options.accept]  Content-type prefixes accepted (default image/*).
+ * @param {number}   [options.maxBytes]
+ * @param {number}   [options.timeoutMs] For the whole download, redirects included.
+ * @param {boolean}  [options.cache]   Serve from / store in the on-disk cache when FETCH_CACHE=true.
+ * @param {boolean}  [options.anyHost] Skip the allowlist, for one-off imports such as brand kit
+ *                                     logos; private addresses are still refused.
+ * @returns {Promise<{ buffer: Buffer, contentType: string, url: string, cached: boolean }>}
+ *          `url` is the final URL after redirects.
+ * @throws {FetchError} 400/403 for URLs that may not be fetched, 413 too large,
+ *          415 wrong content type, 502 upstream failure, 504 timeout.
+ */
+export async function fetchRemote(url, {
+  accept = ['image/'], maxBytes = MAX_BYTES, timeoutMs = TIMEOUT_MS, cache = false, anyHost = false,
+} = {}) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new FetchError(`Invalid URL: ${String(url).slice(0, 100)}`);
+  }
+
+  const cacheable = cache && CACHE_DIR;
+  if (cacheable) {
+    const hit = await readCache(target.href);
+    if (hit && accept.some((prefix) => hit.contentType.startsWith(prefix))) {
+      return { buffer: hit.buffer, contentType: hit.contentType, url: hit.url, cached: true };
+    }
+  }
+
+  let result;
+  const signal = AbortSignal.timeout(timeoutMs);
+  try {
+    result = await download(target, { accept, maxBytes, anyHost, signal });
+  } catch (error) {
+    if (error instanceof FetchError) throw error;
+    if (signal.aborted) {
+      throw new FetchError(`${target.hostname} did not respond within ${timeoutMs / 1000}s`, 504);
+    }
+    throw new FetchError(`Could not fetch ${target.hostname}: ${error.message}`, 502);
+  }
+
+  if (cacheable) await writeCache(target.href, result);
+  return { ...result, cached: false };
+}
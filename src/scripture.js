@@ -0,0 +1,354 @@
+/* ───────────────────────────── Scripture references ── */
+// Parses what pastors type into the `scripture` field ("Jn 3:16-18; Rom 8",
+// "1 Cor 13:4,7", "Psalm 23") into normalized passages, checks them against
+// the real chapter/verse bounds and looks up the verse text so prompts quote
+// the actual passage instead of trusting the model's memory.
+//
+// Text and versification come from the public-domain King James Version
+// (1769 Oxford edition) bundled with the `kjv` package.
+
+import fs from 'fs';
+import { createRequire } from 'module';
+
+export const SCRIPTURE_TRANSLATION = 'KJV';
+
+const MAX_PROMPT_VERSES = 80;
+
+// [display name, aliases]; numbered books get their number prepended to every alias
+const BOOKS = [
+  ['Genesis', 'gen ge gn'],
+  ['Exodus', 'exod exo ex'],
+  ['Leviticus', 'lev le lv'],
+  ['Numbers', 'num nu nm nb'],
+  ['Deuteronomy', 'deut de dt'],
+  ['Joshua', 'josh jos jsh'],
+  ['Judges', 'judg jdg jg jdgs'],
+  ['Ruth', 'rth ru'],
+  ['1 Samuel', 'sam sa sm'],
+  ['2 Samuel', 'sam sa sm'],
+  ['1 Kings', 'kgs ki kin'],
+  ['2 Kings', 'kgs ki kin'],
+  ['1 Chronicles', 'chr ch chron'],
+  ['2 Chronicles', 'chr ch chron'],
+  ['Ezra', 'ezr'],
+  ['Nehemiah', 'neh ne'],
+  ['Esther', 'esth est es'],
+  ['Job', 'jb'],
+  ['Psalms', 'psalm ps psa pss psm'],
+  ['Proverbs', 'prov pro prv pr'],
+  ['Ecclesiastes', 'eccl ecc ec qoh'],
+  ['Song of Solomon', 'song sos so sng songofsongs solomonssong canticles'],
+  ['Isaiah', 'isa is'],
+  ['Jeremiah', 'jer je jr'],
+  ['Lamentations', 'lam la'],
+  ['Ezekiel', 'ezek eze ezk'],
+  ['Daniel', 'dan da dn'],
+  ['Hosea', 'hos ho'],
+  ['Joel', 'jl'],
+  ['Amos', 'am'],
+  ['Obadiah', 'obad ob'],
+  ['Jonah', 'jnh jon'],
+  ['Micah', 'mic mc'],
+  ['Nahum', 'nah na'],
+  ['Habakkuk', 'hab hb'],
+  ['Zephaniah', 'zeph zep zp'],
+  ['Haggai', 'hag hg'],
+  ['Zechariah', 'zech zec zc'],
+  ['Malachi', 'mal ml'],
+  ['Matthew', 'matt mat mt'],
+  ['Mark', 'mrk mar mk mr'],
+  ['Luke', 'luk lk'],
+  ['John', 'jhn joh jn'],
+  ['Acts', 'act ac'],
+  ['Romans', 'rom ro rm'],
+  ['1 Corinthians', 'cor co'],
+  ['2 Corinthians', 'cor co'],
+  ['Galatians', 'gal ga'],
+  ['Ephesians', 'eph ephes'],
+  ['Philippians', 'phil php pp'],
+  ['Colossians', 'col'],
+  ['1 Thessalonians', 'thess thes th'],
+  ['2 Thessalonians', 'thess thes th'],
+  ['1 Timothy', 'tim ti'],
+  ['2 Timothy', 'tim ti'],
+  ['Titus', 'tit'],
+  ['Philemon', 'phlm philem phm'],
+  ['Hebrews', 'heb'],
+  ['James', 'jas jm'],
+  ['1 Peter', 'pet pe pt'],
+  ['2 Peter', 'pet pe pt'],
+  ['1 John', 'jn jhn jo joh'],
+  ['2 John', 'jn jhn jo joh'],
+  ['3 John', 'jn jhn jo joh'],
+  ['Jude', 'jud jd'],
+  ['Revelation', 'rev re rv revelations apocalypse'],
+];
+
+// Book names used as keys in the bundled text where they differ from ours
+const SOURCE_NAMES = { 'Song of Solomon': "Solomon's Song" };
+
+export class ScriptureError extends Error {
+  constructor(message, suggestions = []) {
+    super(message);
+    this.name = 'ScriptureError';
+    this.status = 400;
+    this.suggestions = suggestions;
+  }
+}
+
+/* ─────────────────────────── Book lookup ── */
+// "1st Cor." → "1cor", "II Kings" → "2kings", "Song of Songs" → "songofsongs"
+function bookKey(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/^(first|1st|i)\s+/, '1')
+    .replace(/^(second|2nd|ii)\s+/, '2')
+    .replace(/^(third|3rd|iii)\s+/, '3')
+    .replace(/[\s.'’]/g, '');
+}
+
+const BOOK_KEYS = new Map();
+for (const [name, aliases] of BOOKS) {
+  const number = name.match(/^([123]) /)?.[1] ?? '';
+  for (const key of [bookKey(name), ...aliases.split(' ').map((alias) => number + alias)]) {
+    if (!BOOK_KEYS.has(key)) BOOK_KEYS.set(key, name);
+  }
+}
+
+function findBook(text) {
+  const key = bookKey(text);
+  if (BOOK_KEYS.has(key)) return BOOK_KEYS.get(key);
+
+  // Unambiguous prefix of a full name, e.g. "Deuter", "Philipp"
+  if (key.length >= 3) {
+    const matches = BOOKS.map(([name]) => name).filter((name) => bookKey(name).startsWith(key));
+    if (matches.length === 1) return matches[0];
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestBooks(text) {
+  const key = bookKey(text);
+  const best = new Map();
+  for (const [candidate, name] of BOOK_KEYS) {
+    const distance = editDistance(key, candidate);
+    if (distance <= Math.max(2, Math.floor(key.length / 3)) && distance < (best.get(name) ?? Infinity)) {
+      best.set(name, distance);
+    }
+  }
+  return [...best].sort((a, b) => a[1] - b[1]).slice(0, 3).map(([name]) => name);
+}
+
+/* ─────────────────────────── Bundled text ── */
+let bible = null;
+
+// Verse text keyed "John 3:16" plus verses-per-chapter, loaded on first use
+function loadBible() {
+  if (bible) return bible;
+
+  const require = createRequire(import.meta.url);
+  const verses = JSON.parse(fs.readFileSync(require.resolve('kjv/json/verses-1769.json'), 'utf8'));
+  const chapters = {};
+  for (const key of Object.keys(verses)) {
+    const [, book, chapter, verse] = key.match(/^(.+) (\d+):(\d+)$/);
+    const counts = (chapters[book] ??= []);
+    counts[chapter - 1] = Math.max(counts[chapter - 1] ?? 0, Number(verse));
+  }
+  bible = { verses, chapters };
+  return bible;
+}
+
+const sourceName = (book) => SOURCE_NAMES[book] || book;
+const chapterCount = (book) => loadBible().chapters[sourceName(book)].length;
+const verseCount = (book, chapter) => loadBible().chapters[sourceName(book)][chapter - 1];
+
+// The 1769 text marks paragraphs with "#" and translator-supplied words with [brackets]
+function cleanVerse(text) {
+  return text.replace(/^#\s*/, '').replace(/[[\]]/g, '');
+}
+
+/* ─────────────────────────── Parsing ── */
+const ORDINAL = '(?:[1-3]|i{1,3}|first|second|third|1st|2nd|3rd)';
+const BOOK_AND_REST = new RegExp(`^(${ORDINAL}?\\s*[a-z][a-z.'’\\s]*?)\\s*(\\d.*)?$`, 'i');
+const LOCATION = /^(\d+)(?:[:.](\d+))?(?:\s*[-–—]\s*(\d+)(?:[:.](\d+))?)?$/;
+
+function formatPassage({ book, chapter, verse, endChapter, endVerse, wholeChapters }) {
+  const singleChapterBook = chapterCount(book) === 1;
+  const name = book === 'Psalms' && chapter === endChapter ? 'Psalm' : book;
+
+  if (wholeChapters) {
+    return chapter === endChapter ? `${name} ${chapter}` : `${name} ${chapter}-${endChapter}`;
+  }
+  const start = singleChapterBook ? `${verse}` : `${chapter}:${verse}`;
+  if (chapter === endChapter && verse === endVerse) return `${name} ${start}`;
+  if (chapter === endChapter) return `${name} ${start}-${endVerse}`;
+  return `${name} ${start}-${endChapter}:${endVerse}`;
+}
+
+function checkChapter(book, chapter) {
+  const count = chapterCount(book);
+  if (chapter < 1 || chapter > count) {
+    throw new ScriptureError(
+      `${book} has ${count} chapter${count === 1 ? '' : 's'}, not ${chapter}`,
+      [`${book} ${Math.min(Math.max(chapter, 1), count)}`],
+    );
+  }
+}
+
+function checkVerse(book, chapter, verse) {
+  const count = verseCount(book, chapter);
+  if (verse < 1 || verse > count) {
+    const prefix = chapterCount(book) === 1 ? book : `${book} ${chapter}`;
+    throw new ScriptureError(
+      `${prefix} has ${count} verses, not ${verse}`,
+      [`${prefix}${chapterCount(book) === 1 ? ' ' : ':'}${Math.min(Math.max(verse, 1), count)}`],
+    );
+  }
+}
+
+// One comma-separated item: a location, given the book (and, for bare verse
+// numbers after a verse, the chapter) carried over from the previous item
+function parseLocation(book, text, carryChapter) {
+  const match = text.match(LOCATION);
+  if (!match) throw new ScriptureError(`Could not read "${text}" as chapter and verse`);
+  const [, first, second, third, fourth] = match.map((part) => (part === undefined ? undefined : Number(part)));
+  const singleChapterBook = chapterCount(book) === 1;
+
+  let passage;
+  if (second !== undefined) {
+    // 3:16 · 3:16-18 · 3:16-4:2
+    passage = fourth !== undefined
+      ? { chapter: first, verse: second, endChapter: third, endVerse: fourth }
+      : { chapter: first, verse: second, endChapter: first, endVerse: third ?? second };
+  } else if (carryChapter || singleChapterBook) {
+    // 18 · 18-20 after "3:16", or Jude 3
+    const chapter = carryChapter || 1;
+    passage = { chapter, verse: first, endChapter: fourth !== undefined ? third : chapter, endVerse: fourth ?? third ?? first };
+  } else {
+    // Psalm 23 · Genesis 1-2
+    passage = { chapter: first, endChapter: third ?? first, wholeChapters: true };
+  }
+
+  checkChapter(book, passage.chapter);
+  checkChapter(book, passage.endChapter);
+  if (passage.wholeChapters) {
+    passage.verse = 1;
+    passage.endVerse = verseCount(book, passage.endChapter);
+  } else {
+    checkVerse(book, passage.chapter, passage.verse);
+    checkVerse(book, passage.endChapter, passage.endVerse);
+  }
+  if (passage.endChapter < passage.chapter
+    || (passage.endChapter === passage.chapter && passage.endVerse < passage.verse)) {
+    throw new ScriptureError(`"${text}" ends before it starts`);
+  }
+  return { book, ...passage, wholeChapters: Boolean(passage.wholeChapters) };
+}
+
+/**
+ * Parse and validate a reference list such as "Jn 3:16-18, 21; Rom 8".
+ * Returns `{ reference, passages }` where `reference` is the normalized text
+ * and each passage is `{ reference, book, chapter, verse, endChapter, endVerse }`.
+ * Throws ScriptureError (status 400, with `suggestions`) when invalid.
+ */
+export function parseScripture(input) {
+  const text = String(input ?? '').trim();
+  if (!text) throw new ScriptureError('Scripture reference is empty');
+
+  const passages = [];
+  for (const group of text.split(';').map((part) => part.trim()).filter(Boolean)) {
+    let book = null;
+    let carryChapter = null;
+
+    for (const item of group.split(',').map((part) => part.trim()).filter(Boolean)) {
+      let location = item;
+      if (/[a-z]/i.test(item)) {
+        const match = item.match(BOOK_AND_REST);
+        const name = match?.[1].trim();
+        book = name ? findBook(name) : null;
+        if (!book) {
+          const suggestions = suggestBooks(name || item);
+          throw new ScriptureError(
+            `Unknown book "${name || item}"${suggestions.length ? ` – did you mean ${suggestions.join(', ')}?` : ''}`,
+            suggestions.map((suggestion) => (match?.[2] ? `${suggestion} ${match[2]}` : suggestion)),
+          );
+        }
+        if (!match[2]) throw new ScriptureError(`"${item}" needs a chapter, e.g. "${book} 1"`);
+        location = match[2].trim();
+        carryChapter = null;
+      } else if (!book) {
+        throw new ScriptureError(`"${item}" needs a book name`);
+      }
+
+      const passage = parseLocation(book, location.replace(/\s+/g, ''), carryChapter);
+      carryChapter = passage.wholeChapters ? null : passage.endChapter;
+      passages.push({ ...passage, reference: formatPassage(passage) });
+    }
+  }
+
+  return {
+    reference: passages.map((passage) => passage.reference).join('; '),
+    passages: passages.map(({ wholeChapters, ...passage }) => passage),
+  };
+}
+
+// Like parseScripture, but null instead of an error
+export function tryParseScripture(input) {
+  try {
+    return parseScripture(input);
+  } catch (error) {
+    if (error instanceof ScriptureError) return null;
+    throw error;
+  }
+}
+
+/* ─────────────────────────── Verse text ── */
+// Verses of one passage as [{ chapter, verse, text }]
+export function passageVerses(passage) {
+  const { verses } = loadBible();
+  const result = [];
+  for (let chapter = passage.chapter; chapter <= passage.endChapter; chapter++) {
+    const first = chapter === passage.chapter ? passage.verse : 1;
+    const last = chapter === passage.endChapter ? passage.endVerse : verseCount(passage.book, chapter);
+    for (let verse = first; verse <= last; verse++) {
+      result.push({ chapter, verse, text: cleanVerse(verses[`${sourceName(passage.book)} ${chapter}:${verse}`]) });
+    }
+  }
+  return result;
+}
+
+// The passage text to quote in a prompt, capped at MAX_PROMPT_VERSES verses
+export function scripturePrompt(scripture, { maxVerses = MAX_PROMPT_VERSES } = {}) {
+  let remaining = maxVerses;
+  let truncated = false;
+  const blocks = [];
+
+  for (const passage of scripture.passages) {
+    const verses = passageVerses(passage);
+    if (verses.length > remaining) truncated = true;
+    if (remaining <= 0) break;
+
+    const lines = verses.slice(0, remaining).map(({ chapter, verse, text }) =>
+      `${passage.chapter !== passage.endChapter ? `${chapter}:` : ''}${verse} ${text}`);
+    remaining -= lines.length;
+    blocks.push(`${passage.reference}\n${lines.join('\n')}`);
+  }
+
+  const note = truncated ? `\n(passage text truncated after ${maxVerses} verses)` : '';
+  return `Passage text (${SCRIPTURE_TRANSLATION}) – work from this text and quote it accurately:\n\n${blocks.join('\n\n')}${note}`;
+}
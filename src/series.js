@@ -0,0 +1,192 @@
+/* ───────────────────────────── Sermon series ── */
+// A series is a multi-week plan (one arc, one passage per week) plus a shared
+// visual identity – palette, typography style, composition and motif – that
+// every series graphic is generated from, so the master graphic and the
+// weekly variants look like one set. Plans are kept in DATA_DIR/series.json so
+// any week can be expanded into an outline or re-rendered later.
+
+import crypto from 'crypto';
+import fs     from 'fs';
+import path   from 'path';
+import { z }  from 'zod';
+
+const DATA_DIR   = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const STORE_PATH = path.join(DATA_DIR, 'series.json');
+
+export const SERIES_MIN_WEEKS = 4;
+export const SERIES_MAX_WEEKS = 8;
+
+/* ──── Schema ───── */
+export const SeriesRequest = z.object({
+  theme:      z.string().min(1),
+  passage:    z.string().optional(), // e.g. "Romans 5-8"
+  weeks:      z.coerce.number().int().min(SERIES_MIN_WEEKS).max(SERIES_MAX_WEEKS).default(6),
+  audience:   z.string().optional(),
+  length:     z.string().optional(), // sermon length, as for /api/flavor
+  brandKitId: z.string().optional(),
+});
+
+const TYPOGRAPHY_STYLES = ['focused', 'trendy', 'kids', 'handwritten'];
+
+const SeriesWeek = z.object({
+  title:    z.string().min(1),
+  passage:  z.string().min(1),
+  bigIdea:  z.string().min(1),
+  summary:  z.string().min(1),
+  buildsOn: z.string().min(1), // how this week builds on the last
+});
+
+// What the model returns
+export const SeriesPlan = z.object({
+  title:    z.string().min(1),
+  subtitle: z.string().optional(),
+  summary:  z.string().min(1),
+  weeks:    z.array(SeriesWeek).min(SERIES_MIN_WEEKS).max(SERIES_MAX_WEEKS),
+  visualIdentity: z.object({
+    palette: z.array(z.object({
+      name: z.string().min(1),
+      hex:  z.string().regex(/^#[0-9a-fA-F]{6}$/),
+    })).min(2).max(6),
+    typographyStyle: z.enum(TYPOGRAPHY_STYLES).catch('focused'),
+    composition:     z.string().min(1), // layout shared by every graphic
+    motif:           z.string().min(1), // recurring visual element
+    mood:            z.string().min(1),
+  }),
+});
+
+export const SERIES_JSON_SHAPE = `Return valid JSON only. Shape:
+{
+  "title": string (short, poster-ready series name),
+  "subtitle": string,
+  "summary": string (the arc of the whole series),
+  "weeks": [ (exactly one item per week, in order)
+    { "title": string, "passage": string (e.g. "Romans 5:1-11"), "bigIdea": string (one sentence), "summary": string, "buildsOn": string (how this week builds on the previous one) }
+  ],
+  "visualIdentity": {
+    "palette": [{ "name": string, "hex": "#RRGGBB" }] (3-5 colors),
+    "typographyStyle": "focused" | "trendy" | "kids" | "handwritten",
+    "composition": string (layout every graphic shares),
+    "motif": string (one recurring visual element),
+    "mood": string
+  }
+}`;
+
+export class SeriesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SeriesError';
+    this.status = status;
+  }
+}
+
+export function validateSeriesRequest(body) {
+  const parsed = SeriesRequest.safeParse(body);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+    throw new SeriesError(`Invalid series request – ${issues.join('; ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── File store ───── */
+function readStore() {
+  if (!fs.existsSync(STORE_PATH)) return {};
+  return JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+}
+
+function writeStore(series) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tempPath = `${STORE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(series, null, 2));
+  fs.renameSync(tempPath, STORE_PATH);
+}
+
+export function listSeries() {
+  return Object.values(readStore()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getSeries(id) {
+  return readStore()[id] || null;
+}
+
+// `request` is the validated SeriesRequest, `plan` the validated SeriesPlan
+export function createSeries({ weeks: weekCount, ...request }, plan) {
+  const now = new Date().toISOString();
+  const series = {
+    id: crypto.randomUUID(),
+    ...request,
+    weekCount,
+    ...plan,
+    weeks: plan.weeks.map((week, index) => ({ number: index + 1, ...week, outline: null, graphic: null })),
+    graphics: { master: null },
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const all = readStore();
+  all[series.id] = series;
+  writeStore(all);
+  return series;
+}
+
+/**
+ * Apply `change(series)` to the stored series and save it. Reads the file
+ * fresh so concurrent week updates don't overwrite each other.
+ */
+export function updateSeries(id, change) {
+  const all = readStore();
+  if (!all[id]) return null;
+  const draft = structuredClone(all[id]);
+  const series = change(draft) || draft;
+  series.updatedAt = new Date().toISOString();
+  all[id] = series;
+  writeStore(all);
+  return series;
+}
+
+export function deleteSeries(id) {
+  const all = readStore();
+  if (!all[id]) return false;
+  delete all[id];
+  writeStore(all);
+  return true;
+}
+
+export function resolveSeries(id) {
+  const series = getSeries(id);
+  if (!series) throw new SeriesError(`Unknown series: ${id}`, 404);
+  return series;
+}
+
+export function resolveWeek(series, number) {
+  const week = series.weeks.find((candidate) => candidate.number === Number(number));
+  if (!week) throw new SeriesError(`Series "${series.title}" has no week ${number}`, 404);
+  return week;
+}
+
+/* ──── Prompt fragments ───── */
+export function seriesPlanPrompt({ theme, passage, weeks, audience, length }, scriptureText = '') {
+  return `Plan a ${weeks}-week sermon series.
+Theme: ${theme}
+${passage ? `Passage range: ${passage} – divide it across the weeks in order, one passage per week.` : 'Choose one passage per week that fits the theme.'}
+Audience: ${audience || 'a general church congregation'}. Sermon length: ${length || '30 minutes'}.
+Each week must build on the last so the series has one clear arc. Exactly ${weeks} weeks.${scriptureText}`;
+}
+
+// The shared description every series graphic is generated from
+export function seriesVisualPrompt(series) {
+  const { composition, motif, mood, palette } = series.visualIdentity;
+  const colors = palette.map((color) => `${color.name} ${color.hex}`).join(', ');
+  return `Sermon series graphic. Composition: ${composition}. Recurring motif: ${motif}. Mood: ${mood}. Color palette: ${colors}; no other dominant colors.`;
+}
+
+// Ideogram v3 color_palette payload for the series palette
+export function seriesColorPalette(series) {
+  const weight = Math.round((1 / series.visualIdentity.palette.length) * 100) / 100;
+  return {
+    members: series.visualIdentity.palette.map((color) => ({
+      color_hex:    color.hex.toUpperCase(),
+      color_weight: weight,
+    })),
+  };
+}
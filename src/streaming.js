@@ -0,0 +1,150 @@
+/* ───────────────────────────── Streaming responses ── */
+// Long text routes (/api/depth, the flavor outline, /api/aroma) can forward
+// tokens as they arrive instead of answering once the model has finished.
+// Ask for it with `stream: true` (SSE) or `stream: "ndjson"` in the body or
+// query, or with an `Accept: text/event-stream` / `application/x-ndjson` header.
+//
+// Both formats carry the same events:
+//   delta    { text }               – visible answer text, in order
+//   progress { message }            – a pipeline step (e.g. image generation)
+//   done     { …route payload }     – the full result, same shape as the JSON reply
+//   error    { error }
+
+import { recordStreamResult } from './history.js';
+
+// Returns 'sse', 'ndjson' or null
+export function wantsStream(req) {
+  const flag = req.body?.stream ?? req.query?.stream;
+  if (flag === 'ndjson') return 'ndjson';
+  if (flag === true || flag === 'true' || flag === '1' || flag === 'sse') return 'sse';
+
+  const accept = String(req.headers.accept || '');
+  if (accept.includes('text/event-stream')) return 'sse';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+  return null;
+}
+
+/**
+ * Switch `res` to a streaming response.
+ * Returns `{ send(event, data), end(), signal }`; `signal` aborts when the
+ * client disconnects so upstream model calls can stop early.
+ */
+export function openStream(res, format = 'sse') {
+  const controller = new AbortController();
+
+  res.set(format === 'ndjson'
+    ? { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' }
+    : { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.flushHeaders();
+
+  const heartbeat = format === 'sse'
+    ? setInterval(() => res.write(': keep-alive\n\n'), 15_000)
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data = {}) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(format === 'ndjson'
+        ? `${JSON.stringify({ event, ...data })}\n`
+        : `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/* ─────────────────────────── Text filters ── */
+const THINK_OPEN  = '<think>';
+const THINK_CLOSE = '</think>';
+
+// Length of the longest suffix of `text` that could be the start of `tag`
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Removes `<think>…</think>` reasoning from a token stream. Tags may be split
+ * across chunks, so a possible partial tag is held back until the next push.
+ * `push(chunk)` returns the visible text so far; `flush()` returns the rest.
+ */
+export function createThinkFilter() {
+  let buffer = '';
+  let thinking = false;
+  let started = false;
+
+  const visible = (text) => {
+    // Reasoning models usually leave blank lines where the think block was
+    if (!started) {
+      text = text.trimStart();
+      started = text.length > 0;
+    }
+    return text;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let output = '';
+
+      for (;;) {
+        const tag = thinking ? THINK_CLOSE : THINK_OPEN;
+        const index = buffer.indexOf(tag);
+        if (index >= 0) {
+          if (!thinking) output += buffer.slice(0, index);
+          buffer = buffer.slice(index + tag.length);
+          thinking = !thinking;
+          continue;
+        }
+
+        const keep = partialTagLength(buffer, tag);
+        if (!thinking) output += buffer.slice(0, buffer.length - keep);
+        buffer = buffer.slice(buffer.length - keep);
+        break;
+      }
+
+      return visible(output);
+    },
+
+    // An unterminated think block is dropped
+    flush() {
+      const rest = thinking ? '' : buffer;
+      buffer = '';
+      return visible(rest);
+    },
+  };
+}
+
+/**
+ * Runs `work(stream)` as a streamed response and sends its result as `done`.
+ * `stream` is `{ signal, text(delta), progress(message) }`. The result (or
+ * error) is also handed to the history record, which never sees it otherwise.
+ */
+export async function respondWithStream(res, format, work) {
+  const stream = openStream(res, format);
+  try {
+    const result = await work({
+      signal:   stream.signal,
+      text:     (text) => text && stream.send('delta', { text }),
+      progress: (message) => stream.send('progress', { message }),
+    });
+    recordStreamResult(result);
+    stream.send('done', result);
+  } catch (error) {
+    console.error('Streamed response failed:', error);
+    recordStreamResult(null, error.message);
+    stream.send('error', { error: error.message });
+  } finally {
+    stream.end();
+  }
+}
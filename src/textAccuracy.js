@@ -0,0 +1,164 @@
+/* ───────────────────────────── Text accuracy ── */
+// Image models misspell headlines and drop sub-headlines now and then. Every
+// generated image can be read back – by a vision model or a local OCR engine –
+// and compared with the text that was asked for. Readers are pluggable: the
+// server registers the vision reader, `tesseract` runs the local binary, and
+// deployments may register their own with registerTextReader().
+
+import { execFile } from 'child_process';
+import { z } from 'zod';
+
+export const DEFAULT_TEXT_READER = process.env.TEXT_CHECK_READER || 'vision';
+
+export const TextCheckOptions = z.preprocess(
+  (value) => (value === true ? {} : value),
+  z.object({
+    threshold: z.number().min(0).max(1).default(0.85),
+    retries:   z.number().int().min(0).max(3).default(1), // extra rounds when nothing passes
+    reader:    z.string().min(1).default(DEFAULT_TEXT_READER),
+    filter:    z.boolean().default(true), // drop failing candidates when others pass
+  }),
+);
+
+export class TextCheckError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TextCheckError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Reads `textCheck` from a request body: the check is opt-in, so omitted or
+ * `false` turns it off (null), `true` uses the defaults and an object sets them.
+ */
+export function parseTextCheck(value) {
+  if (value === false || value === undefined || value === null) return null;
+  const parsed = TextCheckOptions.safeParse(value);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `textCheck.${issue.path.join('.') || 'options'}: ${issue.message}`);
+    throw new TextCheckError(`Invalid text check options – ${issues.join('; ')}`);
+  }
+  if (!readers.has(parsed.data.reader)) {
+    throw new TextCheckError(`Unknown text reader "${parsed.data.reader}" – use one of: ${[...readers.keys()].join(', ')}`);
+  }
+  return parsed.data;
+}
+
+/* ──── Readers ───── */
+// name → async (imageBuffer, { languages }) => string[] (text lines, top to bottom)
+const readers = new Map();
+
+export function registerTextReader(name, read) {
+  readers.set(name, read);
+}
+
+// Tesseract language packs for the codes in languages.js
+const TESSERACT_LANGUAGES = {
+  en: 'eng', es: 'spa', pt: 'por', fr: 'fra', ht: 'fra', tl: 'tgl', vi: 'vie', de: 'deu',
+  ko: 'kor', zh: 'chi_sim', ja: 'jpn', ru: 'rus', uk: 'ukr', ar: 'ara',
+};
+
+// Local OCR through the tesseract CLI (TESSERACT_PATH, default on PATH)
+registerTextReader('tesseract', (imageBuffer, { languages }) => new Promise((resolve, reject) => {
+  const codes = [languages.primary, languages.secondary].filter(Boolean).map((language) => TESSERACT_LANGUAGES[language.code]);
+  const child = execFile(
+    process.env.TESSERACT_PATH || 'tesseract',
+    ['stdin', 'stdout', '-l', [...new Set(codes)].join('+'), '--psm', '11'], // 11: sparse text, any layout
+    { encoding: 'utf8', timeout: 30_000, maxBuffer: 1024 * 1024 },
+    (error, stdout) => (error ? reject(new Error(`tesseract failed: ${error.message}`)) : resolve(stdout.split('\n'))),
+  );
+  child.stdin.end(imageBuffer);
+}));
+
+/* ──── Scoring ───── */
+// Case, punctuation and spacing don't count; letters (accents included) and digits do
+const normalize = (text) => text.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+}
+
+// Best match for `expected` anywhere in the text read back: windows of about
+// the same number of words, so a headline split over two lines still matches
+function bestMatch(expected, words) {
+  const target = normalize(expected);
+  const size = target.split(' ').length;
+  let best = 0;
+  for (let length = Math.max(1, size - 1); length <= size + 1; length++) {
+    for (let start = 0; start + length <= Math.max(words.length, length); start++) {
+      best = Math.max(best, similarity(target, words.slice(start, start + length).join(' ')));
+    }
+  }
+  return best;
+}
+
+/**
+ * Scores text read back from an image against the expected fields
+ * ({ headline, subHeadline, … }). Each field gets its best match in the read
+ * text; the overall score is the worst field, so a dropped sub-headline fails
+ * the image however good the headline is.
+ */
+export function scoreText(lines, expected) {
+  const words = normalize(lines.join(' ')).split(' ').filter(Boolean);
+  const fields = Object.fromEntries(Object.entries(expected)
+    .filter(([, text]) => text)
+    .map(([field, text]) => [field, Number(bestMatch(text, words).toFixed(3))]));
+  return { score: Math.min(...Object.values(fields)), fields };
+}
+
+/**
+ * Reads an image and scores it. Reader failures don't fail the generation:
+ * the result is marked `unchecked` with the error instead.
+ *
+ * @returns {Promise<{ score, passed, threshold, reader, fields, read } | { passed: null, reader, error }>}
+ */
+export async function checkImageText(imageBuffer, expected, options, { languages }) {
+  try {
+    const lines = (await readers.get(options.reader)(imageBuffer, { languages }))
+      .map((line) => line.trim())
+      .filter(Boolean);
+    const { score, fields } = scoreText(lines, expected);
+    return { score, passed: score >= options.threshold, threshold: options.threshold, reader: options.reader, fields, read: lines };
+  } catch (error) {
+    console.warn(`Text check via ${options.reader} failed:`, error.message);
+    return { passed: null, reader: options.reader, error: error.message };
+  }
+}
+
+/**
+ * Runs `generate(attempt)` (→ candidates with a `buffer`) and checks each
+ * candidate's text, generating again while nothing passes and the retry
+ * budget lasts. Every candidate comes back with `textAccuracy` (and without
+ * `buffer`); failing ones are dropped when others pass and `filter` is set.
+ */
+export async function generateWithTextCheck(generate, expected, options, { languages }) {
+  const candidates = [];
+  for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+    const round = await Promise.all((await generate(attempt)).map(async ({ buffer, ...candidate }) => ({
+      ...candidate,
+      textAccuracy: { ...await checkImageText(buffer, expected, options, { languages }), attempt },
+    })));
+    candidates.push(...round);
+    // Unreadable images (reader down) are no reason to generate again
+    if (round.some((candidate) => candidate.textAccuracy.passed !== false)) break;
+  }
+
+  const anyPassed = candidates.some((candidate) => candidate.textAccuracy.passed === true);
+  return options.filter && anyPassed
+    ? candidates.filter((candidate) => candidate.textAccuracy.passed !== false)
+    : candidates;
+}
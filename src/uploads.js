@@ -0,0 +1,226 @@
+/* ───────────────────────────── Image uploads ── */
+// Phones hand us HEIC, WebP or 12-megapixel JPEGs stored sideways with an
+// EXIF rotation flag. Every upload is normalized once, on the way in:
+// decoded (HEIC through heic-decode when sharp's libheif can't), turned
+// upright, capped in size and stored as a PNG asset. Whatever a route needs
+// then reads like any other asset URL.
+//
+// Multipart requests on the image routes fill the body field a file is sent
+// under (e.g. `imageUrl`) with the stored asset's URL, before history and
+// webhooks see the body, so replays reuse the upload.
+
+import heicDecode from 'heic-decode';
+import multer     from 'multer';
+import sharp      from 'sharp';
+
+import { saveAsset, sniffImage } from './assets.js';
+
+const MAX_BYTES        = Number(process.env.UPLOAD_MAX_BYTES) || 25 * 1024 * 1024;
+const MAX_SIDE         = Number(process.env.UPLOAD_MAX_SIDE) || 4096; // longest side kept
+const MAX_INPUT_PIXELS = 100_000_000; // decompression bomb guard
+
+// Longest side each provider accepts (or handles well) for an input image
+export const PROVIDER_MAX_SIDE = {
+  'remove-background':      2048, // lucataco/remove-bg
+  'remove-background-text': 4096, // Cutout.Pro
+  'edit-image':             2048, // flux-kontext
+  animate:                  1920, // seedance
+};
+
+const FORMATS = ['jpeg', 'png', 'webp', 'heif', 'gif', 'tiff']; // sharp reports HEIC and AVIF as heif
+
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+/* ──── Normalization ───── */
+// ISO-BMFF brands used by HEIC/HEIF photos (iPhone, recent Android)
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const isHeif = (buffer) => buffer.length > 12
+  && buffer.toString('latin1', 4, 8) === 'ftyp'
+  && HEIF_BRANDS.has(buffer.toString('latin1', 8, 12));
+
+// Prebuilt sharp decodes AVIF but not HEVC-coded HEIC; heic-decode does,
+// with the rotation already applied
+async function decodeHeic(buffer) {
+  const { width, height, data } = await heicDecode({ buffer });
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+}
+
+function downscale(image, maxSide) {
+  return image.resize({ width: maxSide, height: maxSide, fit: 'inside', withoutEnlargement: true });
+}
+
+/**
+ * Decodes any supported photo and returns it as an upright PNG whose longest
+ * side is at most `maxSide`.
+ *
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, original: object }>}
+ *          `original` has the uploaded format, width, height (as displayed),
+ *          size in bytes and whether it was rotated or resized.
+ */
+export async function normalizeImage(buffer, { maxSide = MAX_SIDE } = {}) {
+  let metadata = null;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    // not something sharp recognizes; HEIC is tried below
+  }
+  const format = metadata?.format ?? (isHeif(buffer) ? 'heif' : null);
+  if (!FORMATS.includes(format)) {
+    throw new UploadError('Unsupported image type; send a JPEG, PNG, WebP, HEIC, AVIF, GIF or TIFF photo', 415);
+  }
+
+  const render = (image) => downscale(image, maxSide).png().toBuffer({ resolveWithObject: true });
+  let output;
+  try {
+    // rotate() with no angle applies the EXIF orientation and drops the flag
+    output = await render(sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate());
+  } catch (error) {
+    if (format !== 'heif') throw new UploadError(`Could not read the image: ${error.message}`);
+    try {
+      output = await render(await decodeHeic(buffer));
+    } catch (heicError) {
+      throw new UploadError(`Could not read the HEIC image: ${heicError.message}`);
+    }
+  }
+
+  const { data, info } = output;
+  // Orientations 5–8 swap width and height on display
+  const sideways = (metadata?.orientation ?? 1) >= 5;
+  const width = (sideways ? metadata.height : metadata?.width) ?? null;
+  const height = (sideways ? metadata.width : metadata?.height) ?? null;
+  return {
+    buffer: data,
+    width:  info.width,
+    height: info.height,
+    original: {
+      format,
+      width,
+      height,
+      size:    buffer.length,
+      rotated: (metadata?.orientation ?? 1) > 1,
+      resized: width !== null && (info.width < width || info.height < height),
+    },
+  };
+}
+
+/**
+ * Shrinks an input image to what `task`'s provider accepts. Images that
+ * already fit are returned untouched, in their own format.
+ *
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+export async function fitForProvider(buffer, task, mimeType) {
+  const maxSide = PROVIDER_MAX_SIDE[task];
+  const sniffed = await sniffImage(buffer);
+  if (!maxSide || !sniffed.width || Math.max(sniffed.width, sniffed.height) <= maxSide) {
+    return { buffer, mimeType: mimeType || sniffed.mimeType || 'image/png' };
+  }
+  const resized = await downscale(sharp(buffer).rotate(), maxSide).png().toBuffer();
+  return { buffer: resized, mimeType: 'image/png' };
+}
+
+/**
+ * Normalizes an uploaded file (multer's `{ buffer, originalname, mimetype }`)
+ * and stores it in the asset library.
+ */
+export async function saveUpload(file, { route = 'upload', field = null, maxSide } = {}) {
+  const image = await normalizeImage(file.buffer, { maxSide });
+  return saveAsset(image.buffer, {
+    route: 'upload',
+    mimeType: 'image/png',
+    details: {
+      originalName: file.originalname || null,
+      ...image.original,
+      ...(route !== 'upload' && { usedBy: route, field }),
+    },
+  });
+}
+
+/* ──── Multipart requests ───── */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 4, fields: 100 },
+});
+
+// Text fields arrive as strings; nested options (`event`, `composite`, a
+// webhook object, …) are sent as JSON text and booleans as true/false
+function formValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\s*[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function multerError(error, fields) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new UploadError(`Image is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`, 413);
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new UploadError(`Unexpected file field "${error.field}"; files are accepted as ${fields.join(', ')}`);
+  }
+  return new UploadError(`Invalid multipart body: ${error.message}`);
+}
+
+/**
+ * Express middleware letting a JSON route also take multipart/form-data.
+ * Each of `fields` may carry one image file, which is normalized, stored
+ * and put into `req.body[field]` as its asset URL. `maxSide` defaults to the
+ * route's provider limit.
+ */
+export function acceptUploads(fields, { maxSide } = {}) {
+  const parse = upload.fields(fields.map((name) => ({ name, maxCount: 1 })));
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+    parse(req, res, async (error) => {
+      try {
+        if (error) throw multerError(error, fields);
+        const route = req.route.path.replace(/^\/api\//, '');
+        const body = Object.fromEntries(Object.entries(req.body ?? {}).map(([key, value]) => [key, formValue(value)]));
+        for (const [field, [file]] of Object.entries(req.files ?? {})) {
+          const asset = await saveUpload(file, {
+            route, field, maxSide: maxSide ?? PROVIDER_MAX_SIDE[route] ?? MAX_SIDE,
+          });
+          body[field] = asset.url;
+        }
+        req.body = body;
+        next();
+      } catch (failure) {
+        res.status(failure.status || 500).json({ error: failure.message });
+      }
+    });
+  };
+}
+
+const STANDALONE_FIELDS = ['image', 'file'];
+const parseStandalone = upload.fields(STANDALONE_FIELDS.map((name) => ({ name, maxCount: 1 })));
+
+/**
+ * Middleware for POST /api/uploads: parses one file sent as `image` (or
+ * `file`) into `req.file`, answering 4xx itself when there isn't one.
+ */
+export function receiveUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return res.status(415).json({ error: 'Send the photo as multipart/form-data under "image"' });
+  }
+  parseStandalone(req, res, (error) => {
+    if (error) {
+      const failure = multerError(error, STANDALONE_FIELDS);
+      return res.status(failure.status).json({ error: failure.message });
+    }
+    req.file = req.files?.image?.[0] || req.files?.file?.[0];
+    if (!req.file) return res.status(400).json({ error: 'No file under "image"' });
+    next();
+  });
+}
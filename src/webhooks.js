@@ -0,0 +1,265 @@
+/* ───────────────────────────── Webhooks ── */
+// Both directions use the Standard Webhooks scheme (https://www.standardwebhooks.com),
+// which is also what Replicate signs with: `webhook-id`, `webhook-timestamp`
+// and `webhook-signature: v1,<base64 HMAC-SHA256 of "id.timestamp.body">`.
+//
+// In:  Replicate calls back when a prediction starts and settles, so the
+//      adapter doesn't have to poll (see providers/replicate.js).
+// Out: a client may pass `webhook` on the generation routes and is sent the
+//      result when it's ready, with retries and exponential backoff. Deliveries
+//      live in memory for the lifetime of the process, like jobs. They only go
+//      to public addresses, with the same lookup guard as remoteFetch.js.
+
+import crypto from 'crypto';
+import http   from 'http';
+import https  from 'https';
+import { z }  from 'zod';
+
+import { getJob, subscribeJob } from './jobs.js';
+import { FetchError, guardedLookup, isPrivateHost } from './remoteFetch.js';
+
+const TOLERANCE_MS       = 5 * 60 * 1000; // accepted clock skew for incoming webhooks
+const MAX_ATTEMPTS       = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS      = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 2000; // 2 s, 4 s, 8 s, …
+const RETRY_MAX_MS       = 5 * 60 * 1000;
+const ATTEMPT_TIMEOUT_MS = 10_000;
+const DELIVERY_TTL_MS    = 24 * 60 * 60 * 1000;
+const MAX_DELIVERIES     = 1000;
+
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+/* ──── Signatures ───── */
+// "whsec_<base64>" secrets are used decoded, anything else as UTF-8
+function signingKey(secret) {
+  return secret.startsWith('whsec_') ? Buffer.from(secret.slice(6), 'base64') : Buffer.from(secret, 'utf8');
+}
+
+export function signPayload(secret, id, timestamp, body) {
+  return crypto.createHmac('sha256', signingKey(secret)).update(`${id}.${timestamp}.${body}`).digest('base64');
+}
+
+/**
+ * Checks a Standard Webhooks signature. `headers` are Node's lower-cased
+ * request headers, `rawBody` the exact bytes received.
+ */
+export function verifySignature(secret, headers, rawBody) {
+  const id = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatures = headers['webhook-signature'];
+  if (!id || !timestamp || !signatures || !rawBody) throw new WebhookError('Missing webhook signature headers', 401);
+  if (Math.abs(Date.now() - Number(timestamp) * 1000) > TOLERANCE_MS) {
+    throw new WebhookError('Webhook timestamp is too old or in the future', 401);
+  }
+
+  const expected = Buffer.from(signPayload(secret, id, timestamp, rawBody.toString('utf8')));
+  // The header may carry several space-separated signatures (secret rotation)
+  const matches = signatures.split(' ').some((entry) => {
+    const [version, signature] = entry.split(',');
+    const received = Buffer.from(signature ?? '');
+    return version === 'v1' && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!matches) throw new WebhookError('Invalid webhook signature', 401);
+}
+
+/* ──── Client webhooks ───── */
+export const WebhookOptions = z.union([
+  z.string().url().transform((url) => ({ url })),
+  z.object({
+    url:    z.string().url(),
+    secret: z.string().min(16).optional(), // default: WEBHOOK_SECRET
+  }),
+]).refine(({ url }) => /^https?:$/.test(new URL(url).protocol), 'webhook url must be http or https')
+  .refine(({ url }) => !isPrivateHost(new URL(url).hostname), 'webhook url must be a public address, not a private or loopback one');
+
+export function parseWebhookOptions(webhook) {
+  const parsed = WebhookOptions.safeParse(webhook);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map((issue) => `webhook${issue.path.length ? `.${issue.path.join('.')}` : ''}: ${issue.message}`);
+    throw new WebhookError(`Invalid webhook – ${issues.join('; ')}`);
+  }
+  const secret = parsed.data.secret || process.env.WEBHOOK_SECRET;
+  if (!secret) throw new WebhookError('Webhooks are signed: send webhook.secret or set WEBHOOK_SECRET on the server');
+  return { url: parsed.data.url, secret };
+}
+
+const deliveries = new Map();
+
+function publicDelivery(delivery) {
+  const { secret, payload, ...view } = delivery;
+  return { ...view, type: payload?.type ?? null };
+}
+
+export function getDelivery(id) {
+  const delivery = deliveries.get(id);
+  return delivery ? publicDelivery(delivery) : null;
+}
+
+// POSTs without following redirects; resolves with the status code. The
+// guarded lookup refuses hosts that resolve to private addresses.
+function post(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      signal,
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// 2xx is delivered; timeouts, 408, 429 and 5xx are worth another try
+const retryable = (status) => status === 408 || status === 429 || status >= 500;
+
+function backoff(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return delay + Math.round(Math.random() * delay * 0.2); // jitter, so retries don't arrive in lockstep
+}
+
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+  delivery.attempts.push(attempt);
+
+  const signal = AbortSignal.timeout(ATTEMPT_TIMEOUT_MS);
+  try {
+    const status = await post(delivery.url, {
+      'Content-Type':      'application/json',
+      'User-Agent':        'SaltCreative-Webhooks/1.0',
+      'webhook-id':        delivery.id,
+      'webhook-timestamp': String(timestamp),
+      'webhook-signature': `v1,${signPayload(delivery.secret, delivery.id, timestamp, body)}`,
+    }, body, signal);
+    attempt.status = status;
+    if (status >= 200 && status < 300) {
+      delivery.status = 'delivered';
+      return;
+    }
+    if (!retryable(status)) {
+      delivery.status = 'failed';
+      return;
+    }
+  } catch (error) {
+    attempt.error = signal.aborted ? `No response within ${ATTEMPT_TIMEOUT_MS / 1000}s` : error.message;
+    // A host that resolves to a private address won't stop doing so
+    if (error instanceof FetchError) {
+      delivery.status = 'failed';
+      return;
+    }
+  } finally {
+    attempt.durationMs = Date.now() - started;
+    delivery.updatedAt = new Date().toISOString();
+  }
+
+  if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    console.warn(`Webhook ${delivery.id} to ${delivery.url} failed after ${MAX_ATTEMPTS} attempts`);
+    return;
+  }
+  const delay = backoff(delivery.attempts.length);
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => {
+    delivery.nextAttemptAt = null;
+    attemptDelivery(delivery);
+  }, delay).unref();
+}
+
+function send(delivery, status, result, error) {
+  delivery.payload = {
+    type:      `generation.${status}`,
+    timestamp: new Date().toISOString(),
+    data:      { route: delivery.route, status, jobId: delivery.jobId, historyId: delivery.historyId, result, error },
+  };
+  delivery.status = 'pending';
+  attemptDelivery(delivery);
+}
+
+// Sent once the job settles instead of when the 202 goes out
+function sendWithJob(delivery, jobId) {
+  delivery.jobId = jobId;
+  const finish = (job) => send(delivery, job.status, job.result, job.error);
+  const unsubscribe = subscribeJob(jobId, (event, job) => {
+    if (event !== 'done') return;
+    unsubscribe?.();
+    finish(job);
+  });
+  const job = getJob(jobId);
+  if (job && ['succeeded', 'failed', 'canceled'].includes(job.status)) {
+    unsubscribe?.();
+    finish(job);
+  }
+}
+
+/**
+ * Express middleware for routes that accept `webhook`. The delivery id goes
+ * out as `X-Webhook-Delivery`; the result is posted when the route responds,
+ * or, for `"async": true`, when its job finishes. A per-request secret is
+ * dropped from the body so it never reaches the generation history.
+ */
+export function notifyWebhook(req, res, next) {
+  if (!req.body?.webhook) return next();
+
+  let options;
+  try {
+    options = parseWebhookOptions(req.body.webhook);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+  req.body = { ...req.body, webhook: { url: options.url } };
+
+  const delivery = {
+    id:            `msg_${crypto.randomUUID()}`,
+    url:           options.url,
+    secret:        options.secret,
+    route:         req.route.path,
+    jobId:         null,
+    historyId:     null,
+    status:        'waiting', // for the generation
+    attempts:      [],
+    nextAttemptAt: null,
+    payload:       null,
+    createdAt:     new Date().toISOString(),
+    updatedAt:     new Date().toISOString(),
+  };
+  deliveries.set(delivery.id, delivery);
+  res.set('X-Webhook-Delivery', delivery.id);
+
+  // The route's reply is the payload; inline generations finish even if the client has gone
+  const json = res.json.bind(res);
+  let sent = false;
+  res.json = (body) => {
+    const reply = json(body);
+    if (sent) return reply;
+    sent = true;
+    delivery.historyId = res.get('X-History-Id') ?? null;
+    if (res.statusCode === 202 && body?.jobId) sendWithJob(delivery, body.jobId);
+    else if (res.statusCode < 400) send(delivery, 'succeeded', body, null);
+    else send(delivery, 'failed', null, body?.error ?? `HTTP ${res.statusCode}`);
+    return reply;
+  };
+  next();
+}
+
+/* ──── Expiry sweep ───── */
+setInterval(() => {
+  const expired = Date.now() - DELIVERY_TTL_MS;
+  for (const [id, delivery] of deliveries) {
+    const settled = delivery.status === 'delivered' || delivery.status === 'failed';
+    // Oldest first, so past the cap the oldest settled deliveries go early
+    if (settled && (Date.parse(delivery.updatedAt) < expired || deliveries.size > MAX_DELIVERIES)) deliveries.delete(id);
+  }
+}, 60 * 1000).unref();